@@ -1,269 +1,745 @@
 const router = require('express').Router();
-const { validateAgainstSchema, extractValidFields } = require('../lib/validation');
+const { validate, extractValidFields } = require('../lib/validation');
+const { requireAuthentication, isModerator } = require('../lib/auth');
+const { validateHours, extractHours } = require('../lib/hours');
+const { getZipCentroid } = require('../lib/geo');
+const { readers } = require('../lib/bulkImport');
+const { parseExportFormat, sendExport } = require('../lib/bulkExport');
+const { getStateAtVersion } = require('../lib/audit');
+const { getHistoryPage } = require('../lib/history');
+const { getPage, buildPageLinks } = require('../lib/pagination');
+const {
+  setETag, getIfMatchVersion, staleVersionError, cacheList
+} = require('../lib/conditional');
+const {
+  BadRequestError, ValidationError, ForbiddenError, NotFoundError,
+  ConflictError, UnsupportedMediaTypeError
+} = require('../lib/errors');
 
-const { reviews } = require('./reviews');
-const { photos } = require('./photos');
+const { toPhotoResponse } = require('./photos');
 
-const mysqlPool = require('../lib/mysqlPool');
+const repositories = require('../lib/repositories');
 
-// Simulate delay in code for database connection
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+exports.router = router;
+
+/*
+ * Schema describing required/optional fields of a business object.  The
+ * owner is always the authenticated user, so ownerid is not accepted here.
+ */
+const businessSchema = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  address: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  city: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  state: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  zip: { required: true, type: 'string', format: 'zip' },
+  phone: { required: true, type: 'string', format: 'phone' },
+  category: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  subcategory: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  website: { required: false, type: 'string', maxLength: 255, format: 'url' },
+  email: { required: false, type: 'string', maxLength: 255, format: 'email' },
+  latitude: { required: false, type: 'number', min: -90, max: 90 },
+  longitude: { required: false, type: 'number', min: -180, max: 180 }
+};
+
+/*
+ * Schema describing a request to revert a business to an earlier version.
+ */
+const revertSchema = {
+  version: { required: true, type: 'integer', min: 1 }
+};
+
+/*
+ * Query parameters that filter the list of businesses by exact match on the
+ * column of the same name.
+ */
+const businessFilterFields = [ 'city', 'state', 'zip', 'category', 'subcategory' ];
+
+/*
+ * Fields the list of businesses may be sorted by, via the `sort` query
+ * parameter.  Prefixing the name with `-` sorts in descending order.
+ * Sorting by distance needs a `near` query parameter.
+ */
+const businessSortFields = [ 'id', 'name', 'rating', 'reviewCount', 'distance' ];
+
+/*
+ * The radius, in kilometers, searched by the `near` query parameter when no
+ * `radius` is given.
+ */
+const defaultRadiusKm = 10;
+
+/*
+ * How many businesses imported from an upload are inserted in each
+ * transaction.
+ */
+const importBatchSize = 100;
+
+/*
+ * Fields of a business that may be requested with the `fields` query
+ * parameter, including the rating aggregates computed from its reviews.
+ */
+const businessFields = [
+  'id', 'ownerid', 'name', 'address', 'city', 'state', 'zip', 'phone',
+  'category', 'subcategory', 'website', 'email', 'hours', 'latitude',
+  'longitude', 'version', 'averageStars', 'averageDollars', 'reviewCount',
+  'starHistogram', 'distance'
+];
+
+/*
+ * Collections that may be embedded in a business with the `include` query
+ * parameter.
+ */
+const businessIncludes = [ 'reviews', 'photos' ];
+
+/*
+ * Parses a comma-separated list query parameter, such as `fields` or
+ * `include`.  Resolves to undefined if the parameter is absent, or null if
+ * it names anything not in `allowed`.
+ */
+function parseList(param, allowed) {
+  if (param === undefined) {
+    return undefined;
+  }
+  const list = String(param).split(',').filter(item => item);
+  return list.every(item => allowed.includes(item)) ? list : null;
 }
 
-// Loop until the database is set up
-async function loop() {
-  while (true) {
-    try {
-      // This code was derived from https://github.com/mysqljs/mysql?tab=readme-ov-file#pooling-connections
-      await mysqlPool.getConnection(function(err, connection) {
-        if (err) throw err;
-
-        connection.query('SELECT * FROM businesses', function (error, results, fields) {
-          // When done with the connection, release it.
-          connection.release();
-      
-          // Handle error after the release.
-          if (error) throw error;
-        });
-      });
-      break;
-    } catch {
-      await sleep(2000)
-    }
+/*
+ * Returns a copy of a business containing only the requested fields, plus
+ * its id.  Returns the business unchanged if no fields were requested.
+ */
+function selectFields(business, fields) {
+  if (!fields) {
+    return business;
   }
+  const selected = { id: business.id };
+  fields.forEach((field) => {
+    selected[field] = business[field];
+  });
+  return selected;
 }
 
-// Builds table after awaiting database connection
-async function init() {
-  await loop();
-  mysqlPool.query(
-    `CREATE TABLE IF NOT EXISTS businesses (
-      id MEDIUMINT NOT NULL AUTO_INCREMENT,
-      ownerid INT NOT NULL,
-      name varchar(255) NOT NULL,
-      address varchar(255) NOT NULL,
-      city varchar(255) NOT NULL,
-      state varchar(255) NOT NULL,
-      zip varchar(255) NOT NULL,
-      phone varchar(255) NOT NULL,
-      category varchar(255) NOT NULL,
-      subcategory varchar(255) NOT NULL,
-      website varchar(255),
-      email varchar(255),
-      PRIMARY KEY (id),
-      INDEX idx_ownerid (ownerid)
-    );`
-  );
+/*
+ * Builds the filter selecting the businesses matched by the filter query
+ * parameters.  `q` matches a substring of the name or address.
+ */
+function buildBusinessFilter(query) {
+  const filter = {};
+  businessFilterFields.concat('q').forEach((field) => {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+    }
+  });
+  return filter;
 }
 
-init();
+/*
+ * Parses the `openAt` or `openNow` query parameters into the instant at
+ * which listed businesses must be open.  Returns undefined if neither is
+ * given, or null if `openAt` isn't a valid date and time.
+ */
+function parseOpenAt(query) {
+  if (query.openAt !== undefined) {
+    const openAt = new Date(String(query.openAt));
+    return isNaN(openAt) ? null : openAt;
+  }
+  if (query.openNow === 'true') {
+    return new Date();
+  }
+  return undefined;
+}
 
-exports.router = router;
+/*
+ * Parses the `near` and `radius` query parameters into the point, and the
+ * distance around it in kilometers, that listed businesses must be within.
+ * Returns undefined if `near` isn't given, or null if either is invalid.
+ */
+function parseNear(query) {
+  if (query.near === undefined) {
+    return undefined;
+  }
+  const match = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/.exec(String(query.near));
+  const radius = query.radius === undefined ? defaultRadiusKm : Number(query.radius);
+  if (!match || !(radius > 0)) {
+    return null;
+  }
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude: latitude, longitude: longitude, radius: radius };
+}
 
 /*
- * Schema describing required/optional fields of a business object.
+ * Parses a `sort` query parameter for the list of businesses.  Businesses
+ * found near a point are sorted by distance unless asked otherwise.
+ * Returns null if the requested field isn't sortable.
  */
-const businessSchema = {
-  ownerid: { required: true },
-  name: { required: true },
-  address: { required: true },
-  city: { required: true },
-  state: { required: true },
-  zip: { required: true },
-  phone: { required: true },
-  category: { required: true },
-  subcategory: { required: true },
-  website: { required: false },
-  email: { required: false }
-};
+function parseBusinessSort(sort, near) {
+  if (!sort) {
+    return { field: near ? 'distance' : 'id', descending: false };
+  }
+  sort = String(sort);
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!businessSortFields.includes(field) || (field === 'distance' && !near)) {
+    return null;
+  }
+  return { field: field, descending: descending };
+}
 
 /*
- * Route to return a list of businesses.
+ * Returns an error for each of a business's latitude and longitude given,
+ * or cleared by setting it to null, without the other.
  */
-router.get('/', async function (req, res) {
+function checkCoordinates(business) {
+  if (!business || typeof business !== 'object') {
+    return [];
+  }
+  const hasLatitude = business.latitude != undefined;
+  const hasLongitude = business.longitude != undefined;
+  if (hasLatitude && !hasLongitude) {
+    return [ { field: 'longitude', reason: 'is required with latitude' } ];
+  }
+  if (hasLongitude && !hasLatitude) {
+    return [ { field: 'latitude', reason: 'is required with longitude' } ];
+  }
+  if (business.latitude === null && business.longitude === undefined) {
+    return [ { field: 'longitude', reason: 'must be cleared with latitude' } ];
+  }
+  if (business.longitude === null && business.latitude === undefined) {
+    return [ { field: 'latitude', reason: 'must be cleared with longitude' } ];
+  }
+  return [];
+}
 
-  /*
-   * Attempt to call getBusinessesPage and send response data back.
-   * If it fails, send status code 500.
-   */
-  let page = parseInt(req.query.page) || 1;
-  const numPerPage = 10;
-  const count = await getBusinessesCount();
-  const lastPage = Math.ceil(count / numPerPage);
-  page = page > lastPage ? lastPage : page;
-  page = page < 1 ? 1 : page;
+/*
+ * Places a business at the centroid of its zip code, unless its latitude
+ * and longitude were given.  Businesses in unknown zip codes have no
+ * location.
+ */
+function withCoordinates(business) {
+  if (business.latitude == undefined) {
+    const centroid = getZipCentroid(business.zip);
+    business.latitude = centroid ? centroid.latitude : null;
+    business.longitude = centroid ? centroid.longitude : null;
+  }
+  return business;
+}
 
-  try {
-    const businessesPage = await getBusinessesPage(page);
-    res.status(200).send(businessesPage);
-  } catch (err) {
-    res.status(500).json({
-      error: "Error fetching businesses list. Try again later."
-    });
+/*
+ * Fetches a business, failing with a 404 if it doesn't exist.  Deleted
+ * businesses are only found with the `includeDeleted` option.
+ */
+async function getBusiness(businessid, options) {
+  const business = await repositories.businesses.getById(businessid, options);
+  if (!business) {
+    throw new NotFoundError(`Business ${businessid} does not exist`);
   }
+  return business;
+}
 
-  /*
-   * Get the number of businesses in the table
-   */
-  async function getBusinessesCount() {
-    const [ results ] = await mysqlPool.query(
-      "SELECT COUNT(*) AS count FROM businesses"
+/*
+ * Checks that the authenticated user owns a business, since only its owner
+ * may change it.
+ */
+function checkOwner(req, business, action) {
+  if (business.ownerid !== req.user) {
+    throw new ForbiddenError(`Not authorized to ${action} this business`, 'not_owner');
+  }
+}
+
+/*
+ * Parses the query parameters filtering, sorting and selecting the fields
+ * of a list of businesses, failing with a 400 if any are invalid.
+ */
+function parseListQuery(query) {
+  const near = parseNear(query);
+  if (near === null) {
+    throw new BadRequestError(
+      "near must be a latitude and longitude, as lat,lng, and radius a positive number of kilometers",
+      'invalid_near'
+    );
+  }
+  const sort = parseBusinessSort(query.sort, near);
+  if (!sort) {
+    throw new BadRequestError(
+      `Cannot sort businesses by "${query.sort}"`, 'invalid_sort'
     );
+  }
+  const fields = parseList(query.fields, businessFields);
+  if (fields === null) {
+    throw new BadRequestError(
+      `Fields must be a comma-separated list of: ${businessFields.join(', ')}`,
+      'invalid_fields'
+    );
+  }
+  const openAt = parseOpenAt(query);
+  if (openAt === null) {
+    throw new BadRequestError(
+      "openAt must be an ISO 8601 date and time", 'invalid_open_at'
+    );
+  }
+
+  const filter = buildBusinessFilter(query);
+  if (openAt) {
+    filter.openAt = openAt;
+  }
+  if (near) {
+    filter.near = near;
+  }
+  return { filter: filter, sort: sort, fields: fields };
+}
 
-    return results[0].count;
+/*
+ * Prepares a listed business to be sent, rounding its distance from the
+ * `near` point, if any, and selecting the requested fields.
+ */
+function toListedBusiness(business, filter, fields) {
+  if (filter.near) {
+    business.distance = Math.round(business.distance * 100) / 100;
+  }
+  return selectFields(business, fields);
+}
+
+/*
+ * Route to return a list of businesses.  The list may be filtered by
+ * location, category, a free-text search, distance from a point and whether
+ * businesses are open at a given time, and sorted.
+ */
+router.get('/', cacheList, async function (req, res, next) {
+  try {
+    const { filter, sort, fields } = parseListQuery(req.query);
+    const page = parseInt(req.query.page) || 1;
+
+    const businessesPage = await getBusinessesPage(page, filter, sort);
+    businessesPage.businesses = businessesPage.businesses.map(
+      business => toListedBusiness(business, filter, fields)
+    );
+    businessesPage.links = buildPageLinks(
+      req, businessesPage.page, businessesPage.totalPages
+    );
+    res.status(200).send(businessesPage);
+  } catch (err) {
+    next(err);
   }
 
   /*
    * Get a paginated set of businesses from the table
    */
-  async function getBusinessesPage(page) {
-    const count = await getBusinessesCount();
-
-    const pageSize = 10;
-    const lastPage = Math.ceil(count / pageSize);
-    page = page > lastPage ? lastPage : page;
-    page = page < 1 ? 1 : page;
-    const offset = (page - 1) * pageSize;
-
-    const [ results ] = await mysqlPool.query(
-      'SELECT * FROM businesses ORDER BY id LIMIT ?,?',
-      [offset, pageSize]
+  async function getBusinessesPage(page, filter, sort) {
+    const count = await repositories.businesses.count(filter);
+    const { offset, ...pageInfo } = getPage(count, page);
+    const results = await repositories.businesses.list(
+      filter, sort, offset, pageInfo.pageSize
     );
 
     return {
       businesses: results,
-      page: page,
-      totalPages: lastPage,
-      pageSize: pageSize,
-      count: count
+      ...pageInfo
     };
   }
 });
 
+/*
+ * Route to download every business matching the same filters as the list
+ * of businesses, in the same order, as CSV or NDJSON.  Businesses are read
+ * from the database as they're sent.
+ */
+router.get('/export', async function (req, res, next) {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const { filter, sort, fields } = parseListQuery(req.query);
+    const columns = fields ?
+      [ 'id', ...fields.filter(field => field !== 'id') ] :
+      businessFields.filter(field => field !== 'distance' || filter.near);
+
+    await sendExport(
+      res, format, 'businesses', columns, listBusinesses(filter, sort, fields)
+    );
+  } catch (err) {
+    next(err);
+  }
+
+  /*
+   * Reads the matching businesses one at a time, prepared to be sent.
+   */
+  async function* listBusinesses(filter, sort, fields) {
+    for await (const business of repositories.businesses.stream(filter, sort)) {
+      yield toListedBusiness(business, filter, fields);
+    }
+  }
+});
+
 /*
  * Route to create a new business.
  */
-router.post('/', async function (req, res, next) {
-  if (validateAgainstSchema(req.body, businessSchema)) {
-    try {
-      const id = await insertNewBusiness(req.body);
-      res.status(201).send({id: id});
-    } catch (err) {
-      res.status(500).send({
-        error: "Error inserting business into DB."
-      });
+router.post('/', requireAuthentication, async function (req, res, next) {
+  try {
+    const errors = validate(req.body, businessSchema)
+      .concat(checkCoordinates(req.body));
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid business object", errors);
     }
-  } else {
-    res.status(400).json({
-      error: "Request body is not a valid business object"
-    });
+
+    const business = withCoordinates(extractValidFields(req.body, businessSchema));
+    business.ownerid = req.user;
+    const id = await repositories.businesses.insert(business, req.user);
+    res.status(201).send({id: id});
+  } catch (err) {
+    next(err);
   }
+});
 
-  async function insertNewBusiness(business) {
-    const validatedBusiness = extractValidFields(business, businessSchema);
+/*
+ * Route to create many businesses at once from an uploaded CSV or NDJSON
+ * file, owned by the authenticated user.  Each record is validated like the
+ * body of a request to create a business, and the valid ones are inserted
+ * in batches as the upload streams in.  With `?dryRun=true`, records are
+ * only validated.  Responds with a report giving the outcome for each
+ * record, by the line of the upload it ended on.
+ */
+router.post('/import', requireAuthentication, async function (req, res, next) {
+  const dryRun = req.query.dryRun === 'true';
+  try {
+    const type = req.is(Object.keys(readers));
+    if (!type) {
+      throw new UnsupportedMediaTypeError(
+        `Upload must be one of: ${Object.keys(readers).join(', ')}`
+      );
+    }
 
-    const [ result ] = await mysqlPool.query(
-      "INSERT INTO businesses SET ?", validatedBusiness
-    );
+    const rows = [];
+    const batch = [];
+    for await (const { line, record, error } of readers[type](req)) {
+      const errors = error ?
+        [ { field: null, reason: error } ] :
+        validate(record, businessSchema).concat(checkCoordinates(record));
+      if (errors.length > 0) {
+        rows.push({ line: line, status: 'invalid', errors: errors });
+        continue;
+      }
+
+      const row = { line: line, status: dryRun ? 'valid' : 'created' };
+      rows.push(row);
+      if (!dryRun) {
+        const business = withCoordinates(extractValidFields(record, businessSchema));
+        business.ownerid = req.user;
+        batch.push({ row: row, business: business });
+        if (batch.length === importBatchSize) {
+          await insertBatch(batch.splice(0));
+        }
+      }
+    }
+    await insertBatch(batch);
 
-    return result.insertId;
+    const invalid = rows.filter(row => row.status === 'invalid').length;
+    res.status(200).send({
+      dryRun: dryRun,
+      valid: rows.length - invalid,
+      invalid: invalid,
+      rows: rows
+    });
+  } catch (err) {
+    next(err);
+  }
+
+  /*
+   * Inserts a batch of businesses, noting each one's id in its row of the
+   * report.
+   */
+  async function insertBatch(batch) {
+    if (batch.length === 0) {
+      return;
+    }
+    const ids = await repositories.businesses.insertMany(
+      batch.map(item => item.business), req.user
+    );
+    batch.forEach((item, i) => {
+      item.row.id = ids[i];
+    });
   }
 });
 
 /*
- * Route to fetch info about a specific business.
+ * Route to fetch info about a specific business, including its rating
+ * aggregates.  Its reviews and photos are embedded too, unless `include`
+ * names only some (or none) of them.  The business's ETag is checked before
+ * fetching them, so a client that already has the current version gets a
+ * 304 without them being fetched at all.
  */
 router.get('/:businessid', async function (req, res, next) {
   const businessid = parseInt(req.params.businessid);
-  /*
-    * Find all reviews and photos for the specified business and create a
-    * new object containing all of the business data, including reviews and
-    * photos.
-    */
   try {
-    const business = await getBusinessById(businessid);
-    if (business) {
-      res.status(200).send(business);
-    } else {
-      next();
+    const fields = parseList(req.query.fields, businessFields);
+    const include = parseList(req.query.include, businessIncludes);
+    if (fields === null) {
+      throw new BadRequestError(
+        `Fields must be a comma-separated list of: ${businessFields.join(', ')}`,
+        'invalid_fields'
+      );
+    }
+    if (include === null) {
+      throw new BadRequestError(
+        `Include must be a comma-separated list of: ${businessIncludes.join(', ')}`,
+        'invalid_include'
+      );
+    }
+
+    const business = await repositories.businesses.getDetailsById(businessid);
+    if (!business) {
+      throw new NotFoundError(`Business ${businessid} does not exist`);
     }
+    if (setETag(req, res, business)) {
+      return res.status(304).end();
+    }
+
+    /*
+     * Find all reviews and photos for the specified business and create a
+     * new object containing all of the business data, including reviews and
+     * photos.
+     */
+    const businessDetails = selectFields(business, fields);
+    const embedded = include || businessIncludes;
+    if (embedded.includes('reviews')) {
+      businessDetails.reviews =
+        await repositories.reviews.listByBusiness(businessid);
+    }
+    if (embedded.includes('photos')) {
+      const photos = await repositories.photos.listByBusiness(businessid);
+      businessDetails.photos = photos.map(toPhotoResponse);
+    }
+    res.status(200).send(businessDetails);
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to fetch business."
-    })
+    next(err);
   }
+});
 
-  async function getBusinessById(businessID) {
-    const [ results ] = await mysqlPool.query(
-      "SELECT * FROM businesses WHERE id = ?",
-      [ businessID ],
-    );
+/*
+ * Route to replace data for a business.  Like all the routes that change a
+ * business, it responds with 412 if the request's If-Match doesn't match the
+ * business's current ETag.
+ */
+router.put('/:businessid', requireAuthentication, async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  try {
+    const errors = validate(req.body, businessSchema)
+      .concat(checkCoordinates(req.body));
+    if (errors.length > 0) {
+      throw new ValidationError("Request body does not contain a valid business.", errors);
+    }
 
-    return results[0];
+    const business = await getBusiness(businessid);
+    checkOwner(req, business, 'modify');
+    const updated = await repositories.businesses.update(
+      businessid,
+      withCoordinates(extractValidFields(req.body, businessSchema)),
+      getIfMatchVersion(req, business),
+      req.user
+    );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    res.status(200).send({});
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to replace data for a business.
+ * Route to update some of the data for a business.  Only the fields sent
+ * are validated and changed, except that a business moved to another zip
+ * code without new coordinates is placed at that zip code.  Responds with
+ * the updated business.
  */
-router.put('/:businessid', async function (req, res, next) {
+router.patch('/:businessid', requireAuthentication, async function (req, res, next) {
   const businessid = parseInt(req.params.businessid);
-  if (validateAgainstSchema(req.body, businessSchema)) {
-    try {
-      const updateSuccessful = await updateBusinessById(businessid, req.body);
-      if (updateSuccessful) {
-        res.status(200).send({});
-      } else {
-        next();
-      }
-    } catch (err) {
-      res.status(500).send({
-        error: "Unable to update business."
-      });
+  try {
+    const errors = validate(req.body, businessSchema, { partial: true })
+      .concat(checkCoordinates(req.body));
+    if (errors.length > 0) {
+      throw new ValidationError(
+        "Request body does not contain a valid business update.", errors
+      );
     }
-  } else {
-    res.status(400).json({
-      error: "Request body does not contain a valid business."
-    });
+
+    const business = await getBusiness(businessid);
+    checkOwner(req, business, 'modify');
+    const fields = extractValidFields(req.body, businessSchema);
+    const updated = await repositories.businesses.update(
+      businessid,
+      fields.zip ? withCoordinates(fields) : fields,
+      getIfMatchVersion(req, business),
+      req.user
+    );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    const updatedBusiness = await repositories.businesses.getById(businessid);
+    setETag(req, res, updatedBusiness);
+    res.status(200).send(updatedBusiness);
+  } catch (err) {
+    next(err);
   }
+});
 
-  async function updateBusinessById(businessId, business) {
-    const validatedBusiness = extractValidFields(business, businessSchema);
-    const [ result ] = await mysqlPool.query(
-      "UPDATE businesses SET ? WHERE id = ?",
-      [ validatedBusiness, businessId ]
+/*
+ * Route to replace the opening hours of a business.  Responds with the new
+ * hours.
+ */
+router.put('/:businessid/hours', requireAuthentication, async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  try {
+    const errors = validateHours(req.body);
+    if (errors.length > 0) {
+      throw new ValidationError(
+        "Request body does not contain valid business hours.", errors
+      );
+    }
+
+    const business = await getBusiness(businessid);
+    checkOwner(req, business, 'modify');
+    const hours = extractHours(req.body);
+    const updated = await repositories.businesses.setHours(
+      businessid, hours, getIfMatchVersion(req, business), req.user
     );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    res.status(200).send(hours);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    return result.affectedRows > 0;
+/*
+ * Route to delete a business.  The business is only soft-deleted, hiding it
+ * along with its reviews and photos until it's restored.  With
+ * `?cascade=true`, the business and its reviews and photos are deleted
+ * permanently instead, even if it was already soft-deleted.
+ */
+router.delete('/:businessid', requireAuthentication, async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  const cascade = req.query.cascade === 'true';
+  try {
+    const business = await getBusiness(businessid, { includeDeleted: cascade });
+    checkOwner(req, business, 'delete');
+    const version = getIfMatchVersion(req, business);
+    const deleted = cascade ?
+      await repositories.businesses.purge(businessid, version, req.user) :
+      await repositories.businesses.delete(businessid, version, req.user);
+    if (!deleted) {
+      throw staleVersionError();
+    }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to delete a business.
+ * Route to restore a deleted business, along with its reviews and photos.
+ * Responds with the restored business, or 409 if it isn't deleted.
  */
-router.delete('/:businessid', async function (req, res, next) {
+router.post('/:businessid/restore', requireAuthentication, async function (req, res, next) {
   const businessid = parseInt(req.params.businessid);
   try {
-    const deleteSuccessful = await deleteBusinessById(businessid);
-    
-    if (deleteSuccessful) {
-      res.status(204).send();
-    } else {
-      next();
+    const business = await getBusiness(businessid, { includeDeleted: true });
+    checkOwner(req, business, 'restore');
+    const restored = await repositories.businesses.restore(businessid, req.user);
+    if (!restored) {
+      throw new ConflictError(`Business ${businessid} is not deleted`, 'not_deleted');
     }
+    res.status(200).send(
+      await repositories.businesses.getDetailsById(businessid)
+    );
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to delete business."
-    });
+    next(err);
   }
+});
+
+/*
+ * Route to list the history of a business: a page of the changes made to
+ * it, newest first, with who made each one and the fields it changed.
+ * Only the business's owner and moderators may see it.  The history of a
+ * deleted business is kept, even once it's been purged, though only
+ * moderators may see that of a purged business.
+ */
+router.get('/:businessid/history', requireAuthentication, async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  const page = parseInt(req.query.page) || 1;
+  try {
+    const business = await repositories.businesses.getById(
+      businessid, { includeDeleted: true }
+    );
+    if (!business &&
+        await repositories.audit.countByRecord('businesses', businessid) === 0) {
+      throw new NotFoundError(`Business ${businessid} does not exist`);
+    }
+    if ((!business || business.ownerid !== req.user) &&
+        !(await isModerator(req.user))) {
+      throw new ForbiddenError(
+        "Only the business's owner and moderators may see its history",
+        'not_owner'
+      );
+    }
+    const historyPage = await getHistoryPage('businesses', businessid, page);
+    historyPage.links = buildPageLinks(
+      req, historyPage.page, historyPage.totalPages
+    );
+    res.status(200).send(historyPage);
+  } catch (err) {
+    next(err);
+  }
+});
 
-  async function deleteBusinessById(businessId) {
-    const [ result ] = await mysqlPool.query(
-      "DELETE FROM businesses WHERE id = ?",
-      [ businessId ]
+/*
+ * Route to revert a business to an earlier version, putting back the
+ * fields it had then, including its hours.  Its reviews and photos aren't
+ * changed.  The revert is itself a change, so it gets a new version and is
+ * recorded in the history.  Responds with the updated business.
+ */
+router.post('/:businessid/revert', requireAuthentication, async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  try {
+    const errors = validate(req.body, revertSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid revert request", errors);
+    }
+
+    const business = await getBusiness(businessid);
+    checkOwner(req, business, 'revert');
+    const version = req.body.version;
+    if (version >= business.version) {
+      throw new BadRequestError(
+        `Version must be earlier than the business's current version, ${business.version}`,
+        'invalid_version'
+      );
+    }
+    const entries = await repositories.audit.listUpToVersion(
+      'businesses', businessid, version
     );
-    
-    return result.affectedRows > 0;
+    const state = getStateAtVersion(entries);
+    if (!state) {
+      throw new NotFoundError(
+        `Version ${version} of business ${businessid} is not in its history`
+      );
+    }
+
+    const fields = {};
+    Object.keys(businessSchema).concat('hours').forEach((field) => {
+      fields[field] = state[field] === undefined ? null : state[field];
+    });
+    const updated = await repositories.businesses.update(
+      businessid, fields, getIfMatchVersion(req, business), req.user
+    );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    const updatedBusiness = await repositories.businesses.getById(businessid);
+    setETag(req, res, updatedBusiness);
+    res.status(200).send(updatedBusiness);
+  } catch (err) {
+    next(err);
   }
 });
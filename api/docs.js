@@ -0,0 +1,40 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+
+const router = express.Router();
+
+exports.router = router;
+
+/*
+ * The page rendering the API's OpenAPI description, which is served from
+ * public/openapi.yaml.  Swagger UI's scripts and styles are served from its
+ * package below, rather than fetched from a CDN.
+ */
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Businesses API</title>
+    <link rel="stylesheet" href="/docs/swagger-ui.css">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: '/openapi.yaml',
+        dom_id: '#swagger-ui'
+      });
+    </script>
+  </body>
+</html>
+`;
+
+/*
+ * Route to browse the API's documentation interactively.
+ */
+router.get('/', function (req, res) {
+  res.status(200).type('html').send(docsPage);
+});
+
+router.use(express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
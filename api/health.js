@@ -0,0 +1,32 @@
+const router = require('express').Router();
+
+const { checkReadiness } = require('../lib/health');
+
+exports.router = router;
+
+/*
+ * Route for liveness checks.  Responds as long as the server is running,
+ * without touching the database.  Like readiness checks, the response is
+ * never cached, since it must reflect the server's current state.
+ */
+router.get('/healthz', function (req, res) {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ status: 'ok' });
+});
+
+/*
+ * Route for readiness checks.  Responds with 503 unless the database can be
+ * reached and is fully migrated, and the server isn't shutting down.
+ */
+router.get('/readyz', async function (req, res, next) {
+  try {
+    const { ready, checks } = await checkReadiness();
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      checks: checks
+    });
+  } catch (err) {
+    next(err);
+  }
+});
@@ -1,6 +1,22 @@
 const router = module.exports = require('express').Router();
 
-router.use('/businesses', require('./businesses').router);
-router.use('/reviews', require('./reviews').router);
-router.use('/photos', require('./photos').router);
-router.use('/users', require('./users').router);
+const { noteRouterPath } = require('../lib/requestLogger');
+
+/*
+ * Mounts a router at a path, noting the path so requests can be logged
+ * with the route that handled them.
+ */
+function mount(path, apiRouter) {
+  router.use(path, noteRouterPath(path), apiRouter);
+}
+
+mount('/businesses', require('./businesses').router);
+mount('/businesses/:businessid/webhooks', require('./webhooks').router);
+mount('/reviews', require('./reviews').router);
+mount('/photos', require('./photos').router);
+mount('/users', require('./users').router);
+mount('/media', require('./media').router);
+mount('/moderation', require('./moderation').router);
+mount('/metrics', require('./metrics').router);
+mount('/docs', require('./docs').router);
+mount('/', require('./health').router);
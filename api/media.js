@@ -0,0 +1,66 @@
+const router = require('express').Router();
+const { getImagePath, getImageExtension } = require('../lib/imageStorage');
+const { NotFoundError } = require('../lib/errors');
+
+const repositories = require('../lib/repositories');
+
+exports.router = router;
+
+/*
+ * Sends a stored image file.  Stored images never change once written, so
+ * clients may cache them indefinitely.
+ */
+function sendImage(res, next, filename, mimetype) {
+  res.sendFile(getImagePath(filename), {
+    maxAge: '1y',
+    immutable: true,
+    headers: { 'Content-Type': mimetype }
+  }, function (err) {
+    if (err && err.statusCode === 404) {
+      next(new NotFoundError("Image file does not exist"));
+    } else if (err && !res.headersSent) {
+      next(err);
+    }
+  });
+}
+
+/*
+ * Route to download the image for a specific photo.  The image file is
+ * streamed from disk.
+ */
+router.get('/photos/:photoID.:extension', async function (req, res, next) {
+  const photoID = parseInt(req.params.photoID);
+  try {
+    const photo = await repositories.photos.getById(photoID);
+    if (photo && photo.filename &&
+        getImageExtension(photo.mimetype) === req.params.extension) {
+      sendImage(res, next, photo.filename, photo.mimetype);
+    } else {
+      throw new NotFoundError(`Photo ${photoID} has no ${req.params.extension} image`);
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * Route to download a thumbnail of a specific photo.  Thumbnails are
+ * generated in the background after a photo is uploaded, so they're not
+ * found until that has finished.
+ */
+router.get('/thumbs/:photoID-:size.jpg', async function (req, res, next) {
+  const photoID = parseInt(req.params.photoID);
+  try {
+    const photo = await repositories.photos.getById(photoID);
+    const filename = photo && photo.thumbs && photo.thumbs[req.params.size];
+    if (filename) {
+      sendImage(res, next, filename, 'image/jpeg');
+    } else {
+      throw new NotFoundError(
+        `Photo ${photoID} has no ${req.params.size}px thumbnail`
+      );
+    }
+  } catch (err) {
+    next(err);
+  }
+});
@@ -0,0 +1,18 @@
+const router = require('express').Router();
+
+const { registry } = require('../lib/metrics');
+
+exports.router = router;
+
+/*
+ * Route to fetch the server's metrics, in Prometheus's text format, for
+ * Prometheus to scrape.
+ */
+router.get('/', async function (req, res, next) {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.status(200).send(await registry.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
@@ -0,0 +1,74 @@
+const router = require('express').Router();
+const { requireAuthentication, requireModerator } = require('../lib/auth');
+const { NotFoundError } = require('../lib/errors');
+const { getPage, buildPageLinks } = require('../lib/pagination');
+
+const repositories = require('../lib/repositories');
+
+exports.router = router;
+
+/*
+ * Every moderation route is limited to moderators.
+ */
+router.use(requireAuthentication, requireModerator);
+
+/*
+ * Route to list the moderation queue: a page of the reviews that have been
+ * flagged and not yet approved or hidden, each with its flags.
+ */
+router.get('/reviews', async function (req, res, next) {
+  const page = parseInt(req.query.page) || 1;
+  try {
+    const reviewsPage = await getFlaggedReviewsPage(page);
+    reviewsPage.links = buildPageLinks(
+      req, reviewsPage.page, reviewsPage.totalPages
+    );
+    res.status(200).send(reviewsPage);
+  } catch (err) {
+    next(err);
+  }
+
+  async function getFlaggedReviewsPage(page) {
+    const count = await repositories.reviews.countFlagged();
+    const { offset, ...pageInfo } = getPage(count, page);
+    const results = await repositories.reviews.listFlagged(
+      offset, pageInfo.pageSize
+    );
+
+    return {
+      reviews: results,
+      ...pageInfo
+    };
+  }
+});
+
+/*
+ * Builds a route handler that resolves a review's flags, either approving
+ * the review, which also makes it visible again if it was hidden, or
+ * hiding it.  Responds with the moderated review.
+ */
+function moderateReview(hidden) {
+  return async function (req, res, next) {
+    const reviewID = parseInt(req.params.reviewID);
+    try {
+      const review = await repositories.reviews.getById(reviewID);
+      if (!review) {
+        throw new NotFoundError(`Review ${reviewID} does not exist`);
+      }
+      await repositories.reviews.moderate(reviewID, hidden, req.user);
+      res.status(200).send(await repositories.reviews.getById(reviewID));
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/*
+ * Route to approve a review.
+ */
+router.post('/reviews/:reviewID/approve', moderateReview(false));
+
+/*
+ * Route to hide a review.
+ */
+router.post('/reviews/:reviewID/hide', moderateReview(true));
@@ -1,188 +1,224 @@
 const router = require('express').Router();
-const { validateAgainstSchema, extractValidFields } = require('../lib/validation');
-
-const mysqlPool = require('../lib/mysqlPool');
-
-// Simulate delay in code for database connection
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Loop until the database is set up
-async function loop() {
-  while (true) {
-    try {
-      // This code was derived from https://github.com/mysqljs/mysql?tab=readme-ov-file#pooling-connections
-      await mysqlPool.getConnection(function(err, connection) {
-        if (err) throw err;
-
-        connection.query('SELECT * FROM photos, businesses', function (error, results, fields) {
-          // When done with the connection, release it.
-          connection.release();
-      
-          // Handle error after the release.
-          if (error) throw error;
-        });
-      });
-      break;
-    } catch {
-      await sleep(2000)
-    }
-  }
-}
-
-// Builds table after awaiting database connection
-async function init() {
-  await loop();
-  await mysqlPool.query(
-    `CREATE TABLE IF NOT EXISTS photos (
-      id MEDIUMINT NOT NULL AUTO_INCREMENT,
-      userid INT NOT NULL,
-      businessid MEDIUMINT NOT NULL,
-      caption varchar(255),
-      PRIMARY KEY (id),
-      INDEX idx_userid (userid)
-    );`
-  );
-  mysqlPool.query(
-    `ALTER TABLE photos
-    ADD FOREIGN KEY (businessid) REFERENCES businesses(id);`
-  )
-}
-
-init();
+const { validate, extractValidFields } = require('../lib/validation');
+const { requireAuthentication } = require('../lib/auth');
+const {
+  setETag, getIfMatchVersion, staleVersionError
+} = require('../lib/conditional');
+const {
+  BadRequestError, ValidationError, ForbiddenError, NotFoundError
+} = require('../lib/errors');
+const { uploadImage, saveImage, getPhotoUrl } = require('../lib/imageStorage');
+const { getThumbnailUrl } = require('../lib/thumbnails');
+const { queue } = require('../lib/jobQueue');
+
+const repositories = require('../lib/repositories');
 
 exports.router = router;
 
 /*
- * Schema describing required/optional fields of a photo object.
+ * Schema describing required/optional fields of a photo object.  The
+ * uploader is always the authenticated user, so userid is not accepted here.
  */
 const photoSchema = {
-  userid: { required: true },
-  businessid: { required: true },
-  caption: { required: false }
+  businessid: { required: true, type: 'integer', min: 0 },
+  caption: { required: false, type: 'string', maxLength: 255 }
 };
 
-
 /*
- * Route to create a new photo.
+ * Converts a photo row into the representation sent to clients, replacing
+ * the stored filenames with the URLs the image and its thumbnails are
+ * served from.  Thumbnails are only listed once they've been generated.
  */
-router.post('/', async function (req, res, next) {
-  if (validateAgainstSchema(req.body, photoSchema)) {
-    try {
-      const id = await insertNewPhoto(req.body);
-      res.status(201).send({id: id});
-    } catch (err) {
-      res.status(500).send({
-        error: "Error inserting photo into DB."
-      });
-    }
-  } else {
-    res.status(400).json({
-      error: "Request body is not a valid photo object"
+function toPhotoResponse(photo) {
+  const { filename, thumbs, ...photoResponse } = photo;
+  if (filename) {
+    photoResponse.url = getPhotoUrl(photo);
+  }
+  if (thumbs) {
+    photoResponse.thumbnails = {};
+    Object.keys(thumbs).forEach((size) => {
+      photoResponse.thumbnails[size] = getThumbnailUrl(photo, size);
     });
   }
+  return photoResponse;
+}
 
-  // Inserts photo into database
-  async function insertNewPhoto(photo) {
-    const validatedPhoto = extractValidFields(photo, photoSchema);
+exports.toPhotoResponse = toPhotoResponse;
 
-    const [ result ] = await mysqlPool.query(
-      "INSERT INTO photos SET ?", validatedPhoto
-    );
+/*
+ * Fetches a photo, failing with a 404 if it doesn't exist.
+ */
+async function getPhoto(photoID) {
+  const photo = await repositories.photos.getById(photoID);
+  if (!photo) {
+    throw new NotFoundError(`Photo ${photoID} does not exist`);
+  }
+  return photo;
+}
 
-    return result.insertId;
+/*
+ * Checks that the business a photo is of exists and hasn't been deleted,
+ * failing with a 400 otherwise.
+ */
+async function checkBusiness(businessid) {
+  const business = await repositories.businesses.getById(businessid);
+  if (!business) {
+    throw new ValidationError("Request body is not a valid photo object", [
+      { field: 'businessid', reason: 'must be the id of an existing business' }
+    ]);
+  }
+}
+
+/*
+ * Checks that the authenticated user uploaded a photo, since only its
+ * uploader may change it.
+ */
+function checkUploader(req, photo, action) {
+  if (photo.userid !== req.user) {
+    throw new ForbiddenError(`Not authorized to ${action} this photo`, 'not_uploader');
+  }
+}
+
+/*
+ * Route to create a new photo.  Expects a multipart/form-data body with the
+ * image file in the `image` field alongside the photo's other fields.
+ */
+router.post('/', requireAuthentication, uploadImage, async function (req, res, next) {
+  try {
+    if (!req.file) {
+      throw new BadRequestError(
+        "Request must include a JPEG or PNG image in the image field",
+        'image_required'
+      );
+    }
+    const errors = validate(req.body, photoSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid photo object", errors);
+    }
+    const photo = extractValidFields(req.body, photoSchema);
+    await checkBusiness(photo.businessid);
+
+    const image = await saveImage(req.file);
+    if (!image) {
+      throw new BadRequestError(
+        "Uploaded file is not a valid image of its declared type", 'invalid_image'
+      );
+    }
+    photo.userid = req.user;
+    Object.assign(photo, image);
+    const id = await repositories.photos.insert(photo, req.user);
+    await queue.enqueue('thumbnail', { photoid: id });
+    res.status(201).send({id: id});
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to fetch info about a specific photo.
+ * Route to fetch info about a specific photo.  Responds with 304 if the
+ * request's If-None-Match shows the client has its current version.
  */
 router.get('/:photoID', async function (req, res, next) {
   const photoID = parseInt(req.params.photoID);
   try {
-    const photo = await getPhotoById(photoID);
-    if (photo) {
-      res.status(200).send(photo);
+    const photo = await getPhoto(photoID);
+    if (setETag(req, res, photo)) {
+      res.status(304).end();
     } else {
-      next();
+      res.status(200).send(toPhotoResponse(photo));
     }
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to fetch photo."
-    })
+    next(err);
   }
+});
 
-  async function getPhotoById(photoID) {
-    const [ results ] = await mysqlPool.query(
-      "SELECT * FROM photos WHERE id = ?",
-      [ photoID ],
-    );
+/*
+ * Route to update a photo.  Like all the routes that change a photo, it
+ * responds with 412 if the request's If-Match doesn't match the photo's
+ * current ETag.
+ */
+router.put('/:photoID', requireAuthentication, async function (req, res, next) {
+  const photoID = parseInt(req.params.photoID);
+  try {
+    const errors = validate(req.body, photoSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body does not contain a valid photo.", errors);
+    }
 
-    return results[0];
+    const photo = await getPhoto(photoID);
+    checkUploader(req, photo, 'modify');
+    const fields = extractValidFields(req.body, photoSchema);
+    if (fields.businessid !== undefined && fields.businessid !== photo.businessid) {
+      await checkBusiness(fields.businessid);
+    }
+    const updated = await repositories.photos.update(
+      photoID,
+      fields,
+      getIfMatchVersion(req, photo),
+      req.user
+    );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    res.status(200).send({});
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to update a photo.
+ * Route to update some of the data for a photo.  Only the fields sent are
+ * validated and changed.  Responds with the updated photo.
  */
-router.put('/:photoID', async function (req, res, next) {
+router.patch('/:photoID', requireAuthentication, async function (req, res, next) {
   const photoID = parseInt(req.params.photoID);
-  if (validateAgainstSchema(req.body, photoSchema)) {
-    try {
-      const updateSuccessful = await updatePhotoById(photoID, req.body);
-      if (updateSuccessful) {
-        res.status(200).send({});
-      } else {
-        next();
-      }
-    } catch (err) {
-      res.status(500).send({
-        error: "Unable to update photo."
-      });
+  try {
+    const errors = validate(req.body, photoSchema, { partial: true });
+    if (errors.length > 0) {
+      throw new ValidationError(
+        "Request body does not contain a valid photo update.", errors
+      );
     }
-  } else {
-    res.status(400).json({
-      error: "Request body does not contain a valid photo."
-    });
-  }
 
-  async function updatePhotoById(photoID, photo) {
-    const validatedPhoto = extractValidFields(photo, photoSchema);
-    const [ result ] = await mysqlPool.query(
-      "UPDATE photos SET ? WHERE id = ?",
-      [ validatedPhoto, photoID ]
+    const photo = await getPhoto(photoID);
+    checkUploader(req, photo, 'modify');
+    const fields = extractValidFields(req.body, photoSchema);
+    if (fields.businessid !== undefined && fields.businessid !== photo.businessid) {
+      await checkBusiness(fields.businessid);
+    }
+    const updated = await repositories.photos.update(
+      photoID,
+      fields,
+      getIfMatchVersion(req, photo),
+      req.user
     );
-
-    return result.affectedRows > 0;
+    if (!updated) {
+      throw staleVersionError();
+    }
+    const updatedPhoto = await repositories.photos.getById(photoID);
+    setETag(req, res, updatedPhoto);
+    res.status(200).send(toPhotoResponse(updatedPhoto));
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
  * Route to delete a photo.
  */
-router.delete('/:photoID', async function (req, res, next) {
+router.delete('/:photoID', requireAuthentication, async function (req, res, next) {
   const photoID = parseInt(req.params.photoID);
   try {
-    const deleteSuccessful = await deletePhotoById(photoID);
-    
-    if (deleteSuccessful) {
-      res.status(204).send();
-    } else {
-      next();
+    const photo = await getPhoto(photoID);
+    checkUploader(req, photo, 'delete');
+    const deleted = await repositories.photos.delete(
+      photoID, getIfMatchVersion(req, photo), req.user
+    );
+    if (!deleted) {
+      throw staleVersionError();
     }
+    res.status(204).send();
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to delete photo."
-    });
+    next(err);
   }
-
-  async function deletePhotoById(photoID) {
-    const [ result ] = await mysqlPool.query(
-      "DELETE FROM photos WHERE id = ?",
-      [ photoID ]
-    );
-    
-    return result.affectedRows > 0;
-  }
-});
\ No newline at end of file
+});
@@ -1,246 +1,315 @@
 const router = require('express').Router();
-const { validateAgainstSchema, extractValidFields } = require('../lib/validation');
+const { validate, extractValidFields } = require('../lib/validation');
+const { requireAuthentication, isModerator } = require('../lib/auth');
+const {
+  setETag, getIfMatchVersion, staleVersionError
+} = require('../lib/conditional');
+const {
+  ValidationError, ForbiddenError, NotFoundError, ConflictError
+} = require('../lib/errors');
 
-const mysqlPool = require('../lib/mysqlPool');
+const { getHistoryPage } = require('../lib/history');
+const { buildPageLinks } = require('../lib/pagination');
 
-// Simulate delay in code for database connection
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Loop until the database is set up
-async function loop() {
-  while (true) {
-    try {
-      // This code was derived from https://github.com/mysqljs/mysql?tab=readme-ov-file#pooling-connections
-      await mysqlPool.getConnection(function(err, connection) {
-        if (err) throw err;
-
-        connection.query('SELECT * FROM reviews, businesses', function (error, results, fields) {
-          // When done with the connection, release it.
-          connection.release();
-      
-          // Handle error after the release.
-          if (error) throw error;
-        });
-      });
-      break;
-    } catch {
-      await sleep(2000)
-    }
-  }
-}
-
-// Builds table after awaiting database connection
-async function init() {
-  await loop();
-  await mysqlPool.query(
-    `CREATE TABLE IF NOT EXISTS reviews (
-      id MEDIUMINT NOT NULL AUTO_INCREMENT,
-      userid INT NOT NULL,
-      businessid MEDIUMINT NOT NULL,
-      dollars INT NOT NULL,
-      stars INT NOT NULL,
-      review varchar(255),
-      PRIMARY KEY (id),
-      INDEX idx_userid (userid)
-    );`
-  );
-  mysqlPool.query(
-    `ALTER TABLE reviews
-    ADD FOREIGN KEY (businessid) REFERENCES businesses(id);`
-  );
-}
-
-init();
+const repositories = require('../lib/repositories');
 
 exports.router = router;
 
 /*
- * Schema describing required/optional fields of a review object.
+ * Schema describing required/optional fields of a review object.  The author
+ * is always the authenticated user, so userid is not accepted here.
  */
 const reviewSchema = {
-  userid: { required: true },
-  businessid: { required: true },
-  dollars: { required: true },
-  stars: { required: true },
-  review: { required: false }
+  businessid: { required: true, type: 'integer', min: 0 },
+  dollars: { required: true, type: 'integer', min: 1, max: 4 },
+  stars: { required: true, type: 'number', min: 0, max: 5, multipleOf: 0.5 },
+  review: { required: false, type: 'string', maxLength: 255 }
 };
 
-let posted;
-let modified;
+/*
+ * Schema describing a business owner's response to a review.
+ */
+const responseSchema = {
+  response: { required: true, type: 'string', minLength: 1, maxLength: 255 }
+};
 
 /*
- * Route to create a new review.
+ * Schema describing a user's flag reporting a review.
  */
-router.post('/', async function (req, res, next) {
-  if (validateAgainstSchema(req.body, reviewSchema)) {
-    try {
-      const id = await insertNewReview(req.body);
-      res.status(201).send({id: id});
-    } catch (err) {
-      // If a post has already been made, tell the user that.
-      if (posted) {
-        res.status(403).json({
-          error: "User has already posted a review of this business"
-        });
-      } else {
-        res.status(500).send({
-          error: "Error inserting review into DB."
-        });
-      }
-    }
-  } else {
-    res.status(400).json({
-      error: "Request body is not a valid review object"
-    });
-  }
+const flagSchema = {
+  reason: { required: true, type: 'string', minLength: 1, maxLength: 255 }
+};
 
-  async function checkUserReviewCount(userID, businessID) {
-    const [ result ] = await mysqlPool.query(
-      "SELECT COUNT(*) FROM reviews WHERE userid = ? AND businessid = ?",
-      [ userID, businessID],
-    );
+/*
+ * Fetches a review, failing with a 404 if it doesn't exist.
+ */
+async function getReview(reviewID) {
+  const review = await repositories.reviews.getById(reviewID);
+  if (!review) {
+    throw new NotFoundError(`Review ${reviewID} does not exist`);
+  }
+  return review;
+}
 
-    // Once a post has been made, no more should be allowed to be created
-    if (result[0]["COUNT(*)"] >= 1) {
-      return true;
-    } else {
-      return false;
-    }
+/*
+ * Checks that the business a review is for exists and hasn't been deleted,
+ * failing with a 400 otherwise.
+ */
+async function checkBusiness(businessid) {
+  const business = await repositories.businesses.getById(businessid);
+  if (!business) {
+    throw new ValidationError("Request body is not a valid review object", [
+      { field: 'businessid', reason: 'must be the id of an existing business' }
+    ]);
   }
+}
 
-  // Insert review into the database
-  async function insertNewReview(review) {
-    const validatedReview = extractValidFields(review, reviewSchema);
-    posted = await checkUserReviewCount(validatedReview.userid, validatedReview.businessid);
+/*
+ * Checks that the authenticated user wrote a review, since only its author
+ * may change it.
+ */
+function checkAuthor(req, review, action) {
+  if (review.userid !== req.user) {
+    throw new ForbiddenError(`Not authorized to ${action} this review`, 'not_author');
+  }
+}
 
-    if (posted == true) {
-      throw err;
+/*
+ * Route to create a new review.  Each user may only review a business once.
+ */
+router.post('/', requireAuthentication, async function (req, res, next) {
+  try {
+    const errors = validate(req.body, reviewSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid review object", errors);
     }
-    const [ result ] = await mysqlPool.query(
-      "INSERT INTO reviews SET ?", validatedReview
-    );
 
-    return result.insertId;
+    const review = extractValidFields(req.body, reviewSchema);
+    review.userid = req.user;
+    await checkBusiness(review.businessid);
+    const reviewed = await repositories.reviews.existsForUserAndBusiness(
+      review.userid, review.businessid
+    );
+    if (reviewed) {
+      throw new ForbiddenError(
+        "User has already posted a review of this business", 'already_reviewed'
+      );
+    }
+    const id = await repositories.reviews.insert(review, req.user);
+    res.status(201).send({id: id});
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to fetch info about a specific review.
+ * Route to fetch info about a specific review.  Responds with 304 if the
+ * request's If-None-Match shows the client has its current version.
  */
 router.get('/:reviewID', async function (req, res, next) {
   const reviewID = parseInt(req.params.reviewID);
-  
   try {
-    const review = await getReviewById(reviewID);
-    if (review) {
-      res.status(200).send(review);
+    const review = await getReview(reviewID);
+    if (setETag(req, res, review)) {
+      res.status(304).end();
     } else {
-      next();
+      res.status(200).send(review);
     }
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to fetch review."
-    })
+    next(err);
   }
+});
 
-  async function getReviewById(reviewID) {
-    const [ results ] = await mysqlPool.query(
-      "SELECT * FROM reviews WHERE id = ?",
-      [ reviewID ],
-    );
+/*
+ * Route to update a review.  Only the review's author may update it, and the
+ * review's businessid cannot be changed.  Like all the routes that change a
+ * review, it responds with 412 if the request's If-Match doesn't match the
+ * review's current ETag.
+ */
+router.put('/:reviewID', requireAuthentication, async function (req, res, next) {
+  const reviewID = parseInt(req.params.reviewID);
+  try {
+    const errors = validate(req.body, reviewSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body does not contain a valid review.", errors);
+    }
 
-    return results[0];
+    const review = await getReview(reviewID);
+    checkAuthor(req, review, 'modify');
+    if (review.businessid !== parseInt(req.body.businessid)) {
+      throw new ForbiddenError(
+        "Updated review cannot modify businessid", 'businessid_immutable'
+      );
+    }
+    const updated = await repositories.reviews.update(
+      reviewID,
+      extractValidFields(req.body, reviewSchema),
+      getIfMatchVersion(req, review),
+      req.user
+    );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    res.status(200).send({});
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to update a review.
+ * Route to update some of the data for a review.  Only the fields sent are
+ * validated and changed, and as with a full update, the review's businessid
+ * cannot be changed.  Responds with the updated review.
  */
-router.put('/:reviewID', async function (req, res, next) {
+router.patch('/:reviewID', requireAuthentication, async function (req, res, next) {
   const reviewID = parseInt(req.params.reviewID);
-  if (validateAgainstSchema(req.body, reviewSchema)) {
-    try {
-      const updateSuccessful = await updateReviewById(reviewID, req.body);
-      if (updateSuccessful) {
-        res.status(200).send({});
-      } else {
-        next();
-      }
-    } catch (err) {
-      if (modified) {
-        res.status(403).json({
-          error: "Updated review cannot modify businessid or userid"
-        });
-      } else {
-        res.status(500).send({
-          error: "Unable to update review."
-        });
-      }
-    }
-  } else {
-    res.status(400).json({
-      error: "Request body does not contain a valid review."
-    });
-  }
+  try {
+    const errors = validate(req.body, reviewSchema, { partial: true });
+    if (errors.length > 0) {
+      throw new ValidationError(
+        "Request body does not contain a valid review update.", errors
+      );
+    }
 
-  async function checkReviewEditParams(reviewID) {
-    const [ result ] = await mysqlPool.query(
-      "SELECT userid, businessid FROM reviews WHERE id = ?",
-      [ reviewID ],
+    const review = await getReview(reviewID);
+    checkAuthor(req, review, 'modify');
+    if (req.body.businessid != undefined &&
+        review.businessid !== parseInt(req.body.businessid)) {
+      throw new ForbiddenError(
+        "Updated review cannot modify businessid", 'businessid_immutable'
+      );
+    }
+    const updated = await repositories.reviews.update(
+      reviewID,
+      extractValidFields(req.body, reviewSchema),
+      getIfMatchVersion(req, review),
+      req.user
     );
+    if (!updated) {
+      throw staleVersionError();
+    }
+    const updatedReview = await repositories.reviews.getById(reviewID);
+    setETag(req, res, updatedReview);
+    res.status(200).send(updatedReview);
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (result[0]["userid"] == parseInt(req.body.userid) && 
-        result[0]["businessid"] == parseInt(req.body.businessid)) {
-      return false;
-    } else {
-      return true;
+/*
+ * Route to delete a review.
+ */
+router.delete('/:reviewID', requireAuthentication, async function (req, res, next) {
+  const reviewID = parseInt(req.params.reviewID);
+  try {
+    const review = await getReview(reviewID);
+    checkAuthor(req, review, 'delete');
+    const deleted = await repositories.reviews.delete(
+      reviewID, getIfMatchVersion(req, review), req.user
+    );
+    if (!deleted) {
+      throw staleVersionError();
     }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
   }
+});
 
-  async function updateReviewById(reviewID, review) {
-    const validatedReview = extractValidFields(review, reviewSchema);
-    modified = checkReviewEditParams(reviewID);
-    // if perms fit, then update, otherwise throw
-    if (modified) {
-      const [ result ] = await mysqlPool.query(
-        "UPDATE reviews SET ? WHERE id = ?",
-        [ validatedReview, reviewID ],
-      );
-      return result.affectedRows > 0;
-    } else {
-      throw err;
+/*
+ * Route for the owner of a reviewed business to respond to the review.  A
+ * review has at most one response, so this replaces any earlier response.
+ * Responds with the updated review.
+ */
+router.post('/:reviewID/response', requireAuthentication, async function (req, res, next) {
+  const reviewID = parseInt(req.params.reviewID);
+  try {
+    const errors = validate(req.body, responseSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid review response", errors);
     }
 
+    const review = await getReview(reviewID);
+    const business = await repositories.businesses.getById(review.businessid);
+    if (!business || business.ownerid !== req.user) {
+      throw new ForbiddenError(
+        "Only the business's owner may respond to this review", 'not_owner'
+      );
+    }
+    await repositories.reviews.update(
+      reviewID, extractValidFields(req.body, responseSchema), undefined,
+      req.user
+    );
+    const updatedReview = await repositories.reviews.getById(reviewID);
+    setETag(req, res, updatedReview);
+    res.status(200).send(updatedReview);
+  } catch (err) {
+    next(err);
   }
 });
 
 /*
- * Route to delete a review.
+ * Route to flag a review for moderators, with the reason it should be
+ * looked at.  Each user may flag a review once.
  */
-router.delete('/:reviewID', async function (req, res, next) {
+router.post('/:reviewID/flags', requireAuthentication, async function (req, res, next) {
   const reviewID = parseInt(req.params.reviewID);
   try {
-    const deleteSuccessful = await deleteReviewById(reviewID);
-    
-    if (deleteSuccessful) {
-      res.status(204).send();
-    } else {
-      next();
+    const errors = validate(req.body, flagSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid review flag", errors);
     }
+
+    await getReview(reviewID);
+    const id = await repositories.reviews.flag(reviewID, req.user, req.body.reason);
+    if (id === null) {
+      throw new ConflictError("User has already flagged this review", 'already_flagged');
+    }
+    res.status(201).send({id: id});
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to delete review."
-    });
+    next(err);
   }
+});
 
-  async function deleteReviewById(reviewID) {
-    const [ result ] = await mysqlPool.query(
-      "DELETE FROM reviews WHERE id = ?",
-      [ reviewID ]
+/*
+ * Route to list the history of a review: a page of the changes made to it,
+ * newest first, with who made each one and the fields it changed.  Only
+ * the review's author, the reviewed business's owner and moderators may see
+ * it.  The history of a deleted review is kept, though only moderators may
+ * see it.
+ */
+router.get('/:reviewID/history', requireAuthentication, async function (req, res, next) {
+  const reviewID = parseInt(req.params.reviewID);
+  const page = parseInt(req.query.page) || 1;
+  try {
+    const review = await repositories.reviews.getById(reviewID);
+    if (!review &&
+        await repositories.audit.countByRecord('reviews', reviewID) === 0) {
+      throw new NotFoundError(`Review ${reviewID} does not exist`);
+    }
+    if (!(await isAuthorized(review)) && !(await isModerator(req.user))) {
+      throw new ForbiddenError(
+        "Only the review's author, the business's owner and moderators may see its history",
+        'not_authorized'
+      );
+    }
+    const historyPage = await getHistoryPage('reviews', reviewID, page);
+    historyPage.links = buildPageLinks(
+      req, historyPage.page, historyPage.totalPages
     );
-    
-    return result.affectedRows > 0;
+    res.status(200).send(historyPage);
+  } catch (err) {
+    next(err);
+  }
+
+  async function isAuthorized(review) {
+    if (!review) {
+      return false;
+    }
+    if (review.userid === req.user) {
+      return true;
+    }
+    const business = await repositories.businesses.getById(review.businessid);
+    return !!business && business.ownerid === req.user;
   }
-});
\ No newline at end of file
+});
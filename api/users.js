@@ -1,60 +1,220 @@
 const router = require('express').Router();
+const bcrypt = require('bcryptjs');
+const { validate, extractValidFields } = require('../lib/validation');
+const { generateAuthToken } = require('../lib/auth');
+const { cacheList } = require('../lib/conditional');
+const { parseExportFormat, sendExport } = require('../lib/bulkExport');
+const { getPage, buildPageLinks } = require('../lib/pagination');
+const {
+  BadRequestError, ValidationError, UnauthorizedError, NotFoundError,
+  ConflictError
+} = require('../lib/errors');
 
 exports.router = router;
 
-const { businesses } = require('./businesses');
-const { reviews } = require('./reviews');
-const { photos } = require('./photos');
+const { toPhotoResponse } = require('./photos');
 
-const mysqlPool = require('../lib/mysqlPool')
+const repositories = require('../lib/repositories');
 
 /*
- * Route to list all of a user's businesses.
+ * Schema describing required/optional fields of a user object.
  */
-router.get('/:userid/businesses', function (req, res) {
-  const userid = parseInt(req.params.userid);
+const userSchema = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 255 },
+  email: { required: true, type: 'string', maxLength: 255, format: 'email' },
+  password: { required: true, type: 'string', minLength: 8, maxLength: 72 }
+};
+
+/*
+ * Schema describing the fields of a login request.
+ */
+const loginSchema = {
+  email: { required: true, type: 'string' },
+  password: { required: true, type: 'string' }
+};
+
+/*
+ * Route to register a new user.  The user's password is stored hashed.
+ */
+router.post('/', async function (req, res, next) {
   try {
-    const businesses = getBusinessesById(userid);
-    if (businesses) {
-      res.status(200).send(businesses);
-    } else {
-      next();
+    const errors = validate(req.body, userSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid user object", errors);
     }
+
+    const id = await insertNewUser(req.body);
+    if (id === null) {
+      throw new ConflictError(
+        "A user with that email address already exists", 'email_taken'
+      );
+    }
+    res.status(201).send({id: id});
   } catch (err) {
-    res.status(500).send({
-      error: "Unable to fetch businesses."
-    })
+    next(err);
   }
 
-  async function getBusinessesById(userID) {
-    const [ results ] = await mysqlPool.query(
-      "SELECT * FROM businesses WHERE ownerid = ?",
-      [ userID ],
-    );
+  async function insertNewUser(user) {
+    const validatedUser = extractValidFields(user, userSchema);
+    validatedUser.password = await bcrypt.hash(validatedUser.password, 8);
 
-    return results[0];
+    return repositories.users.insert(validatedUser);
   }
 });
 
+/*
+ * Route to log a user in.  Responds with a signed token to be sent in the
+ * Authorization header of subsequent requests.
+ */
+router.post('/login', async function (req, res, next) {
+  try {
+    const errors = validate(req.body, loginSchema);
+    if (errors.length > 0) {
+      throw new ValidationError("Request body requires email and password", errors);
+    }
+
+    const user = await repositories.users.getByEmail(req.body.email);
+    const authenticated = user &&
+      await bcrypt.compare(req.body.password, user.password);
+    if (!authenticated) {
+      throw new UnauthorizedError("Invalid credentials", 'invalid_credentials');
+    }
+    res.status(200).send({
+      token: generateAuthToken(user.id)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
 /*
- * Route to list all of a user's reviews.
+ * Columns each of a user's listings may be sorted by, via the `sort` query
+ * parameter.  Prefixing the column with `-` sorts in descending order.
+ */
+const sortableColumns = {
+  businesses: [ 'id', 'name', 'city', 'state', 'category' ],
+  reviews: [ 'id', 'businessid', 'stars', 'dollars' ],
+  photos: [ 'id', 'businessid' ]
+};
+
+/*
+ * The columns of each review in an export of a user's reviews.
+ */
+const reviewColumns = [
+  'id', 'userid', 'businessid', 'dollars', 'stars', 'review', 'response',
+  'hidden', 'version'
+];
+
+/*
+ * Parses a `sort` query parameter for the given listing.  Returns null if
+ * the requested column isn't sortable.
+ */
+function parseSort(sort, table) {
+  if (!sort) {
+    return { field: 'id', descending: false };
+  }
+  sort = String(sort);
+  const descending = sort.startsWith('-');
+  const column = descending ? sort.slice(1) : sort;
+  if (!sortableColumns[table].includes(column)) {
+    return null;
+  }
+  return { field: column, descending: descending };
+}
+
+/*
+ * Gets a paginated set of the given resource belonging to a user.
  */
-router.get('/:userid/reviews', function (req, res) {
+async function getUserItemsPage(table, userid, page, sort) {
+  const repository = repositories[table];
+  const count = await repository.countByUser(userid);
+  const { offset, ...pageInfo } = getPage(count, page);
+  const results = await repository.listByUser(
+    userid, sort, offset, pageInfo.pageSize
+  );
+
+  return {
+    [table]: table === 'photos' ? results.map(toPhotoResponse) : results,
+    ...pageInfo
+  };
+}
+
+/*
+ * Builds a route handler that lists a page of a user's businesses, reviews
+ * or photos.
+ */
+function listUserItems(table) {
+  return async function (req, res, next) {
+    const userid = parseInt(req.params.userid);
+    const page = parseInt(req.query.page) || 1;
+    try {
+      const sort = parseSort(req.query.sort, table);
+      if (!sort) {
+        throw new BadRequestError(
+          `Cannot sort ${table} by "${req.query.sort}"`, 'invalid_sort'
+        );
+      }
+      const itemsPage = await getUserItemsPage(table, userid, page, sort);
+      itemsPage.links = buildPageLinks(
+        req, itemsPage.page, itemsPage.totalPages
+      );
+      res.status(200).send(itemsPage);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/*
+ * Route to fetch a summary of a user, including how many businesses they
+ * own and how many reviews and photos they've posted.
+ */
+router.get('/:userid', async function (req, res, next) {
   const userid = parseInt(req.params.userid);
-  const userReviews = reviews.filter(review => review && review.userid === userid);
-  res.status(200).json({
-    reviews: userReviews
-  });
+  try {
+    const summary = await repositories.users.getSummaryById(userid);
+    if (!summary) {
+      throw new NotFoundError(`User ${userid} does not exist`);
+    }
+    res.status(200).send(summary);
+  } catch (err) {
+    next(err);
+  }
 });
 
 /*
- * Route to list all of a user's photos.
+ * Route to list all of a user's businesses.
+ */
+router.get('/:userid/businesses', cacheList, listUserItems('businesses'));
+
+/*
+ * Route to list all of a user's reviews.
+ */
+router.get('/:userid/reviews', cacheList, listUserItems('reviews'));
+
+/*
+ * Route to download all of a user's reviews, sorted like the list of them,
+ * as CSV or NDJSON.  Reviews are read from the database as they're sent.
  */
-router.get('/:userid/photos', function (req, res) {
+router.get('/:userid/reviews/export', async function (req, res, next) {
   const userid = parseInt(req.params.userid);
-  const userPhotos = photos.filter(photo => photo && photo.userid === userid);
-  res.status(200).json({
-    photos: userPhotos
-  });
+  try {
+    const format = parseExportFormat(req.query.format);
+    const sort = parseSort(req.query.sort, 'reviews');
+    if (!sort) {
+      throw new BadRequestError(
+        `Cannot sort reviews by "${req.query.sort}"`, 'invalid_sort'
+      );
+    }
+
+    const reviews = repositories.reviews.streamByUser(userid, sort);
+    await sendExport(res, format, 'reviews', reviewColumns, reviews);
+  } catch (err) {
+    next(err);
+  }
 });
+
+/*
+ * Route to list all of a user's photos.
+ */
+router.get('/:userid/photos', cacheList, listUserItems('photos'));
@@ -0,0 +1,202 @@
+const router = require('express').Router({ mergeParams: true });
+const { validate, extractValidFields } = require('../lib/validation');
+const { requireAuthentication } = require('../lib/auth');
+const {
+  eventTypes, generateSecret, isAllowedUrl
+} = require('../lib/webhooks');
+const { getPage, buildPageLinks } = require('../lib/pagination');
+const {
+  ValidationError, ForbiddenError, NotFoundError
+} = require('../lib/errors');
+
+const repositories = require('../lib/repositories');
+
+exports.router = router;
+
+/*
+ * Schema describing required/optional fields of a webhook object.  Its
+ * events are checked separately, since they're a list.
+ */
+const webhookSchema = {
+  url: { required: true, type: 'string', maxLength: 2048, format: 'url' },
+  events: { required: true }
+};
+
+/*
+ * Returns an error if a webhook's events aren't a list of event types,
+ * without repeats.
+ */
+function checkEvents(webhook) {
+  const events = webhook && webhook.events;
+  if (events == undefined) {
+    return [];
+  }
+  const valid = Array.isArray(events) &&
+    events.length > 0 &&
+    events.every(event => eventTypes.includes(event)) &&
+    new Set(events).size === events.length;
+  return valid ? [] : [
+    {
+      field: 'events',
+      reason: `must be a list of one or more of: ${eventTypes.join(', ')}`
+    }
+  ];
+}
+
+/*
+ * Converts a webhook row into the representation sent to clients, which
+ * leaves out its secret.
+ */
+function toWebhookResponse(webhook) {
+  return {
+    id: webhook.id,
+    businessid: webhook.businessid,
+    url: webhook.url,
+    events: webhook.events,
+    createdAt: webhook.created_at
+  };
+}
+
+/*
+ * Converts a delivery row into the representation sent to clients.  Pending
+ * deliveries include when they'll next be attempted.
+ */
+function toDeliveryResponse(delivery) {
+  const deliveryResponse = {
+    id: delivery.id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.response_status,
+    lastError: delivery.last_error,
+    createdAt: delivery.created_at,
+    payload: delivery.payload
+  };
+  if (delivery.status === 'pending') {
+    deliveryResponse.nextAttemptAt = delivery.run_at;
+  }
+  return deliveryResponse;
+}
+
+/*
+ * Every webhook route is limited to the business's owner.  Fails with a
+ * 404 if the business doesn't exist.
+ */
+router.use(requireAuthentication, async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  try {
+    const business = await repositories.businesses.getById(businessid);
+    if (!business) {
+      throw new NotFoundError(`Business ${businessid} does not exist`);
+    }
+    if (business.ownerid !== req.user) {
+      throw new ForbiddenError(
+        "Only the business's owner may manage its webhooks", 'not_owner'
+      );
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * Fetches one of the business's webhooks, failing with a 404 if it doesn't
+ * exist or belongs to a different business.
+ */
+async function getWebhook(req) {
+  const webhookid = parseInt(req.params.webhookid);
+  const webhook = await repositories.webhooks.getById(webhookid);
+  if (!webhook || webhook.businessid !== parseInt(req.params.businessid)) {
+    throw new NotFoundError(`Webhook ${webhookid} does not exist`);
+  }
+  return webhook;
+}
+
+/*
+ * Route to register a webhook, to be sent the chosen types of event about
+ * the business.  Responds with the secret its deliveries are signed with,
+ * which is never sent again.
+ */
+router.post('/', async function (req, res, next) {
+  try {
+    const errors = validate(req.body, webhookSchema)
+      .concat(checkEvents(req.body));
+    if (errors.length === 0 && !(await isAllowedUrl(req.body.url))) {
+      errors.push({
+        field: 'url',
+        reason: 'must not be at a loopback, private or reserved address'
+      });
+    }
+    if (errors.length > 0) {
+      throw new ValidationError("Request body is not a valid webhook object", errors);
+    }
+
+    const webhook = extractValidFields(req.body, webhookSchema);
+    webhook.businessid = parseInt(req.params.businessid);
+    webhook.secret = generateSecret();
+    const id = await repositories.webhooks.insert(webhook);
+    res.status(201).send({ id: id, secret: webhook.secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * Route to list the business's webhooks.
+ */
+router.get('/', async function (req, res, next) {
+  const businessid = parseInt(req.params.businessid);
+  try {
+    const webhooks = await repositories.webhooks.listByBusiness(businessid);
+    res.status(200).send({ webhooks: webhooks.map(toWebhookResponse) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * Route to delete a webhook, along with its delivery log.  Deliveries not
+ * yet sent are never sent.
+ */
+router.delete('/:webhookid', async function (req, res, next) {
+  try {
+    const webhook = await getWebhook(req);
+    await repositories.webhooks.delete(webhook.id);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/*
+ * Route to list the delivery log of a webhook: a page of the events it has
+ * been sent, or is yet to be sent, newest first, with the outcome of the
+ * latest attempt at each.
+ */
+router.get('/:webhookid/deliveries', async function (req, res, next) {
+  const page = parseInt(req.query.page) || 1;
+  try {
+    const webhook = await getWebhook(req);
+    const deliveriesPage = await getDeliveriesPage(webhook.id, page);
+    deliveriesPage.links = buildPageLinks(
+      req, deliveriesPage.page, deliveriesPage.totalPages
+    );
+    res.status(200).send(deliveriesPage);
+  } catch (err) {
+    next(err);
+  }
+
+  async function getDeliveriesPage(webhookid, page) {
+    const count = await repositories.webhooks.countDeliveries(webhookid);
+    const { offset, ...pageInfo } = getPage(count, page);
+    const results = await repositories.webhooks.listDeliveries(
+      webhookid, offset, pageInfo.pageSize
+    );
+
+    return {
+      deliveries: results.map(toDeliveryResponse),
+      ...pageInfo
+    };
+  }
+});
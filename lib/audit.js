@@ -0,0 +1,84 @@
+/*
+ * The audit log records every change made to businesses, reviews and
+ * photos: who made it, when, and a diff of the fields it changed, so
+ * earlier versions of a record can be looked up and restored.
+ *
+ * Changes are recorded by the repositories in the same transaction as the
+ * change itself.  Each entry's changes map the name of each changed field to
+ * its value before and after the change:
+ *
+ *   { "stars": { "from": 4, "to": 2 } }
+ *
+ * A record's creation changes every field from null, and its hard deletion
+ * every field to null.  Entries also give the record's version after the
+ * change, or before it if the record is gone.
+ */
+
+/*
+ * Fields that aren't compared when diffing records: they change with every
+ * change, or are recorded by the entry's action instead.
+ */
+const ignoredFields = [ 'id', 'version', 'deleted_at' ];
+
+/*
+ * Computes the changes between two versions of a record, either of which
+ * may be undefined if the record was created or deleted.  Missing fields
+ * count as null.
+ */
+function diffRecords(before, after) {
+  before = before || {};
+  after = after || {};
+  const changes = {};
+  const fields = new Set([ ...Object.keys(before), ...Object.keys(after) ]);
+  for (const field of fields) {
+    if (ignoredFields.includes(field)) {
+      continue;
+    }
+    const from = normalize(before[field]);
+    const to = normalize(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from, to: to };
+    }
+  }
+  return changes;
+
+  /*
+   * Values are compared and recorded as they'd be sent as JSON, so a Date
+   * from MySQL and the same date as a string don't differ.
+   */
+  function normalize(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    return value;
+  }
+}
+
+/*
+ * Reconstructs the fields of a record as they were at some version, from
+ * its audit log entries up to and including that version, oldest first.
+ * A business's version is also incremented by changes to its reviews and
+ * photos, which aren't in its log, so there needn't be an entry for the
+ * version itself.  Returns null if the entries don't start with the
+ * record's creation.
+ */
+function getStateAtVersion(entries) {
+  if (entries.length === 0 || entries[0].action !== 'create') {
+    return null;
+  }
+  const state = {};
+  for (const entry of entries) {
+    for (const [ field, change ] of Object.entries(entry.changes)) {
+      state[field] = change.to;
+    }
+  }
+  return state;
+}
+
+module.exports = {
+  diffRecords,
+  getStateAtVersion
+};
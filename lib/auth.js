@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+
+const repositories = require('./repositories');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+/*
+ * The secret tokens are signed with.  Anyone who knows it can sign a token
+ * for any user, so it must be set, except when testing.
+ */
+const secretKey = process.env.JWT_SECRET ||
+  (process.env.NODE_ENV === 'test' ? 'SuperSecret' : undefined);
+
+if (!secretKey) {
+  throw new Error("JWT_SECRET must be set to the secret to sign tokens with");
+}
+const tokenLifetime = '24h';
+
+/*
+ * Generates a signed JWT identifying the user with the given ID.
+ */
+exports.generateAuthToken = function (userId) {
+  const payload = { sub: String(userId) };
+  return jwt.sign(payload, secretKey, { expiresIn: tokenLifetime });
+};
+
+/*
+ * Returns the ID of the user identified by the JWT in a request's
+ * Authorization header, or null if it doesn't have a valid one.
+ */
+exports.getAuthenticatedUser = function (req) {
+  const authHeader = req.get('Authorization') || '';
+  const authHeaderParts = authHeader.split(' ');
+  const token = authHeaderParts[0] === 'Bearer' ? authHeaderParts[1] : null;
+
+  try {
+    return parseInt(jwt.verify(token, secretKey).sub);
+  } catch (err) {
+    return null;
+  }
+};
+
+/*
+ * Middleware that requires a valid JWT in the Authorization header.  On
+ * success, the ID of the authenticated user is stored in req.user.
+ * Otherwise, the request fails with a 401.
+ */
+exports.requireAuthentication = function (req, res, next) {
+  const user = exports.getAuthenticatedUser(req);
+  if (user === null) {
+    return next(new UnauthorizedError("Invalid authentication token", 'invalid_token'));
+  }
+
+  req.user = user;
+  next();
+};
+
+/*
+ * Resolves to whether the user with the given ID is a moderator.
+ */
+exports.isModerator = async function (userId) {
+  const user = await repositories.users.getById(userId);
+  return !!user && !!user.moderator;
+};
+
+/*
+ * Middleware that requires the authenticated user to be a moderator.  It
+ * must follow requireAuthentication.  Otherwise, the request fails with a
+ * 403.
+ */
+exports.requireModerator = async function (req, res, next) {
+  let moderator;
+  try {
+    moderator = await exports.isModerator(req.user);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!moderator) {
+    return next(new ForbiddenError(
+      "Only moderators may access this resource", 'not_moderator'
+    ));
+  }
+  next();
+};
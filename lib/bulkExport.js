@@ -0,0 +1,92 @@
+/*
+ * Sending records in bulk, as CSV or NDJSON.  Records are written to the
+ * response as they're read from an async iterator, such as those returned
+ * by the repositories' stream methods, so a large export is never held in
+ * memory all at once.
+ */
+
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { stringify } = require('csv-stringify');
+
+const { BadRequestError } = require('./errors');
+
+/*
+ * Writes CSV with a header row naming the field in each column.  Missing
+ * and null fields get empty cells, and fields holding objects, such as a
+ * business's hours, are written as JSON.
+ */
+function writeCsv(columns) {
+  return stringify({
+    header: true,
+    columns: columns,
+    cast: {
+      boolean: value => String(value),
+      date: value => value.toISOString(),
+      object: value => JSON.stringify(value)
+    }
+  });
+}
+
+/*
+ * Writes newline-delimited JSON, with a JSON object on each line.
+ */
+function writeNdjson() {
+  return new Transform({
+    writableObjectMode: true,
+    transform(record, encoding, callback) {
+      callback(null, `${JSON.stringify(record)}\n`);
+    }
+  });
+}
+
+/*
+ * The formats records may be exported in, by the name given in the
+ * `format` query parameter.
+ */
+const formats = {
+  csv: { type: 'text/csv', write: writeCsv },
+  ndjson: { type: 'application/x-ndjson', write: writeNdjson }
+};
+
+/*
+ * Parses the `format` query parameter of an export, which defaults to CSV,
+ * failing with a 400 if it isn't one of the formats.
+ */
+function parseExportFormat(format) {
+  if (format === undefined) {
+    return 'csv';
+  }
+  format = String(format);
+  if (!Object.hasOwn(formats, format)) {
+    throw new BadRequestError(
+      `Format must be one of: ${Object.keys(formats).join(', ')}`,
+      'invalid_format'
+    );
+  }
+  return format;
+}
+
+/*
+ * Sends records as a download in the given format, named after `name`,
+ * with the given columns.  A client that disconnects part way through just
+ * stops the export.  Any other error once the download has started can
+ * only cut it short, since its status has already been sent.
+ */
+async function sendExport(res, format, name, columns, records) {
+  res.status(200)
+    .attachment(`${name}.${format}`)
+    .type(formats[format].type);
+  try {
+    await pipeline(Readable.from(records), formats[format].write(columns), res);
+  } catch (err) {
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  parseExportFormat,
+  sendExport
+};
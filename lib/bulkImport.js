@@ -0,0 +1,87 @@
+/*
+ * Reading records uploaded in bulk, as CSV or NDJSON.  Uploads are parsed
+ * as they stream in, a record at a time, so a large upload is never held in
+ * memory all at once.
+ *
+ * Each reader is an async generator yielding, for each record, either
+ * { line, record } or, for a record that couldn't be parsed,
+ * { line, error }, where `line` is the line of the upload the record ended
+ * on and `error` the reason it couldn't be parsed.
+ */
+
+const readline = require('readline');
+const { parse, CsvError } = require('csv-parse');
+
+/*
+ * Reads CSV with a header row naming the field in each column.  Empty cells
+ * are left out of their record, like fields missing from a JSON object.
+ * Rows with the wrong number of cells are reported as errors.  CSV that
+ * can't be parsed any further, like a quoted cell that's never closed, is
+ * reported as an error ending the upload.
+ */
+async function* readCsv(stream) {
+  const parser = stream.pipe(parse({
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  }));
+
+  let header;
+  try {
+    for await (const { record: cells, info } of parser) {
+      if (!header) {
+        header = cells;
+      } else if (cells.length !== header.length) {
+        yield { line: info.lines, error: 'does not have a cell for each column' };
+      } else {
+        const record = {};
+        header.forEach((field, i) => {
+          if (cells[i] !== '') {
+            record[field] = cells[i];
+          }
+        });
+        yield { line: info.lines, record: record };
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof CsvError)) {
+      throw err;
+    }
+    yield { line: err.lines, error: 'is not valid CSV' };
+  }
+}
+
+/*
+ * Reads newline-delimited JSON, with a JSON object on each line.  Blank
+ * lines are skipped.
+ */
+async function* readNdjson(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (err) {
+      yield { line: line, error: 'is not valid JSON' };
+      continue;
+    }
+    if (record && typeof record === 'object' && !Array.isArray(record)) {
+      yield { line: line, record: record };
+    } else {
+      yield { line: line, error: 'is not a JSON object' };
+    }
+  }
+}
+
+/*
+ * Readers for each content type an upload may be sent as.
+ */
+exports.readers = {
+  'text/csv': readCsv,
+  'application/x-ndjson': readNdjson
+};
@@ -0,0 +1,83 @@
+/*
+ * Conditional requests.  Businesses, reviews and photos each have a version
+ * that's incremented whenever they change (see lib/repositories), and their
+ * strong ETags are built from it.  Clients can send the ETag back in
+ * If-None-Match to be told with a 304 that a record hasn't changed, or in
+ * If-Match to change a record only if nobody else has changed it since they
+ * fetched it.
+ *
+ * Lists aren't versioned, so Express gives them strong ETags computed from
+ * their bodies instead, and responds with 304 itself when those match.
+ */
+
+const { PreconditionFailedError } = require('./errors');
+
+/*
+ * How long clients and shared caches may reuse a list of records before
+ * revalidating it.  Lists only hold public data, and a short lifetime keeps
+ * them from going stale for long after a record changes.  Single records
+ * aren't given a lifetime, so clients revalidate them with their ETags.
+ */
+const listCacheControl = 'public, max-age=30, must-revalidate';
+
+/*
+ * Returns the ETag for a version of a record.
+ */
+function getETag(record) {
+  return `"${record.version}"`;
+}
+
+/*
+ * Sets the ETag of a record on a response.  Returns true if the request's
+ * If-None-Match shows the client already has this version, in which case the
+ * caller should respond with 304 Not Modified.
+ */
+function setETag(req, res, record) {
+  res.set('ETag', getETag(record));
+  return req.fresh;
+}
+
+/*
+ * Returns the error for a change to a record that doesn't have the version
+ * the client expected, which is sent as a 412 Precondition Failed.
+ */
+function staleVersionError() {
+  return new PreconditionFailedError(
+    "Resource has changed since it was fetched", 'stale_version'
+  );
+}
+
+/*
+ * Checks a request's If-Match header against the current version of a
+ * record.  Returns the version to pass on to the repository, so the change
+ * fails if the record changes in the meantime, or undefined if the request
+ * has no If-Match and the change should be made regardless.  Throws
+ * staleVersionError() if the client's version is out of date.
+ */
+function getIfMatchVersion(req, record) {
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    return undefined;
+  }
+  const etags = ifMatch.split(',').map(etag => etag.trim());
+  if (etags.includes('*') || etags.includes(getETag(record))) {
+    return record.version;
+  }
+  throw staleVersionError();
+}
+
+/*
+ * Middleware setting the Cache-Control policy for lists of records.
+ */
+function cacheList(req, res, next) {
+  res.set('Cache-Control', listCacheControl);
+  next();
+}
+
+module.exports = {
+  getETag,
+  setETag,
+  getIfMatchVersion,
+  staleVersionError,
+  cacheList
+};
@@ -0,0 +1,154 @@
+/*
+ * Errors sent to clients.  Route handlers throw (or pass to next()) one of
+ * the error classes below, and handleErrors() renders it as an RFC 7807
+ * problem details object, sent as application/problem+json:
+ *
+ *   {
+ *     "type": "urn:problem-type:not-found",
+ *     "title": "Not Found",
+ *     "status": 404,
+ *     "code": "not_found",
+ *     "detail": "Business 9999 does not exist",
+ *     "instance": "/businesses/9999",
+ *     "requestId": "…"
+ *   }
+ *
+ * `code` is a stable, machine-readable identifier for the kind of error,
+ * and `detail` a human-readable explanation of this particular one, which
+ * may change.  Validation errors also list the problem with each field in
+ * `errors`, in the form returned by validate() in lib/validation.js.  Any
+ * other error is treated as a bug, logged, and sent as a 500 without its
+ * details.
+ */
+
+const logger = require('./logger');
+
+class ApiError extends Error {
+  constructor(status, title, code, detail) {
+    super(detail);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.title = title;
+    this.code = code;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(detail, code = 'bad_request') {
+    super(400, 'Bad Request', code, detail);
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(detail, errors) {
+    super(400, 'Bad Request', 'validation_failed', detail);
+    this.errors = errors;
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(detail, code = 'unauthorized') {
+    super(401, 'Unauthorized', code, detail);
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(detail, code = 'forbidden') {
+    super(403, 'Forbidden', code, detail);
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(detail, code = 'not_found') {
+    super(404, 'Not Found', code, detail);
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(detail, code = 'conflict') {
+    super(409, 'Conflict', code, detail);
+  }
+}
+
+class PreconditionFailedError extends ApiError {
+  constructor(detail, code = 'precondition_failed') {
+    super(412, 'Precondition Failed', code, detail);
+  }
+}
+
+class PayloadTooLargeError extends ApiError {
+  constructor(detail, code = 'payload_too_large') {
+    super(413, 'Payload Too Large', code, detail);
+  }
+}
+
+class UnsupportedMediaTypeError extends ApiError {
+  constructor(detail, code = 'unsupported_media_type') {
+    super(415, 'Unsupported Media Type', code, detail);
+  }
+}
+
+/*
+ * Converts errors raised by Express's own middleware, such as a request
+ * body that isn't valid JSON, into the equivalent ApiError.  Returns
+ * undefined for any other error.
+ */
+function fromExpressError(err) {
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', 'invalid_json');
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body is too large');
+  }
+}
+
+/*
+ * Express error handler sending errors as problem details.  It must be
+ * added after every route.
+ */
+function handleErrors(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = err instanceof ApiError ? err : fromExpressError(err);
+  if (!error) {
+    logger.error('unhandled error', { requestId: req.id, err: err });
+    error = new ApiError(
+      500,
+      'Internal Server Error',
+      'internal_error',
+      'Server error.  Please try again later.'
+    );
+  }
+
+  const problem = {
+    type: `urn:problem-type:${error.code.replace(/_/g, '-')}`,
+    title: error.title,
+    status: error.status,
+    code: error.code,
+    detail: error.message,
+    instance: req.originalUrl,
+    requestId: req.id
+  };
+  if (error.errors) {
+    problem.errors = error.errors;
+  }
+  res.status(error.status)
+    .type('application/problem+json')
+    .json(problem);
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  handleErrors
+};
@@ -0,0 +1,68 @@
+/*
+ * Geographic helpers for locating businesses.
+ *
+ * Businesses that don't give their coordinates are placed at the centroid
+ * of their zip code, looked up in data/zip-centroids.csv.  That table was
+ * built from the US Census Bureau's ZCTA Gazetteer file, with coordinates
+ * rounded to four decimal places (about 11m).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const centroidsFile = path.join(__dirname, '..', 'data', 'zip-centroids.csv');
+const earthRadiusKm = 6371;
+
+let zipCentroids;
+
+/*
+ * Loads the zip code centroid table the first time it's needed.
+ */
+function loadZipCentroids() {
+  if (!zipCentroids) {
+    zipCentroids = new Map();
+    fs.readFileSync(centroidsFile, 'utf8')
+      .split('\n')
+      .slice(1)
+      .filter(line => line)
+      .forEach((line) => {
+        const [ zip, latitude, longitude ] = line.split(',');
+        zipCentroids.set(zip, {
+          latitude: Number(latitude),
+          longitude: Number(longitude)
+        });
+      });
+  }
+  return zipCentroids;
+}
+
+/*
+ * Looks up the centroid of a zip code, which may include the ZIP+4 suffix.
+ * Returns the centroid's latitude and longitude, or undefined if the zip
+ * code isn't known.
+ */
+exports.getZipCentroid = function (zip) {
+  return loadZipCentroids().get(String(zip).slice(0, 5));
+};
+
+/*
+ * Computes the great-circle distance, in kilometers, between two points
+ * given by their latitude and longitude.
+ */
+exports.getDistanceKm = function (from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.pow(Math.sin(dLatitude / 2), 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.pow(Math.sin(dLongitude / 2), 2);
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+};
+
+/*
+ * Returns how many degrees of latitude span the given distance, for
+ * narrowing searches to a band around a point.
+ */
+exports.getLatitudeDelta = function (distanceKm) {
+  return distanceKm / earthRadiusKm * 180 / Math.PI;
+};
@@ -0,0 +1,52 @@
+/*
+ * Health checks.  The server is alive as long as it can respond at all, but
+ * it's only ready for traffic once its database can be reached and has
+ * every migration applied, and stops being ready as soon as it starts
+ * shutting down, so load balancers stop sending it requests.
+ */
+
+const mysqlPool = require('./mysqlPool');
+const repositories = require('./repositories');
+const { getPendingMigrations } = require('./migrations');
+
+let shuttingDown = false;
+
+/*
+ * Marks the server as shutting down, so it's no longer ready.
+ */
+exports.setShuttingDown = function () {
+  shuttingDown = true;
+};
+
+/*
+ * Checks whether the server is ready for traffic.  Resolves to whether it
+ * is, along with the result of each check, which is "ok" or the reason it
+ * failed.  There's no database to check when data is kept in memory.
+ */
+exports.checkReadiness = async function () {
+  const checks = {
+    shutdown: shuttingDown ? 'shutting down' : 'ok'
+  };
+
+  if (repositories.backend === 'mysql') {
+    try {
+      await mysqlPool.query('SELECT 1');
+      checks.database = 'ok';
+    } catch (err) {
+      checks.database = `unreachable: ${err.code || err.message}`;
+    }
+    try {
+      const pending = await getPendingMigrations(mysqlPool);
+      checks.migrations = pending.length ?
+        `pending: ${pending.join(', ')}` :
+        'ok';
+    } catch (err) {
+      checks.migrations = `unknown: ${err.code || err.message}`;
+    }
+  }
+
+  return {
+    ready: Object.values(checks).every(check => check === 'ok'),
+    checks: checks
+  };
+};
@@ -0,0 +1,42 @@
+/*
+ * The history of businesses, reviews and photos, as the API sends it: the
+ * entries of their audit log (see lib/audit.js).
+ */
+
+const { getPage } = require('./pagination');
+const repositories = require('./repositories');
+
+/*
+ * Converts an audit log entry into the representation sent to clients.
+ */
+function toAuditEntryResponse(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    actor: entry.actor,
+    version: entry.version,
+    changes: entry.changes,
+    createdAt: entry.created_at
+  };
+}
+
+/*
+ * Gets a page of the history of a business, review or photo, given the
+ * name of its table: the changes made to it, newest first.
+ */
+async function getHistoryPage(table, id, page) {
+  const count = await repositories.audit.countByRecord(table, id);
+  const { offset, ...pageInfo } = getPage(count, page);
+  const results = await repositories.audit.listByRecord(
+    table, id, offset, pageInfo.pageSize
+  );
+
+  return {
+    history: results.map(toAuditEntryResponse),
+    ...pageInfo
+  };
+}
+
+module.exports = {
+  getHistoryPage
+};
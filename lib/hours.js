@@ -0,0 +1,262 @@
+/*
+ * Opening hours of businesses.  Hours are stored and sent to clients as an
+ * object like:
+ *
+ *   {
+ *     timezone: 'America/Los_Angeles',
+ *     weekly: {
+ *       monday: [ { open: '11:00', close: '14:00' }, { open: '17:00', close: '22:00' } ],
+ *       friday: [ { open: '17:00', close: '02:00' } ]
+ *     },
+ *     exceptions: [
+ *       { date: '2026-12-25', intervals: [] }
+ *     ]
+ *   }
+ *
+ * Times are local to the business's timezone, given as an IANA zone name.
+ * An interval whose close time is before its open time runs past midnight
+ * into the next day, and a close time of 24:00 means midnight.  Days
+ * missing from `weekly` are closed.  An exception replaces the weekly hours
+ * on a single date; an exception with no intervals means closed all day.
+ */
+
+const days = [
+  'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'
+];
+
+const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+/*
+ * Converts an HH:MM time to minutes since midnight.
+ */
+function toMinutes(time) {
+  const [ hours, minutes ] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function isDate(value) {
+  if (!datePattern.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/*
+ * Checks a list of intervals, adding any errors to `errors`.
+ */
+function checkIntervals(intervals, field, errors) {
+  if (!Array.isArray(intervals)) {
+    errors.push({ field: field, reason: 'must be an array' });
+    return;
+  }
+  intervals.forEach((interval, i) => {
+    const intervalField = `${field}[${i}]`;
+    if (!interval || typeof interval !== 'object') {
+      errors.push({ field: intervalField, reason: 'must be an object' });
+      return;
+    }
+    const validOpen = typeof interval.open === 'string' &&
+      timePattern.test(interval.open);
+    const validClose = typeof interval.close === 'string' &&
+      (timePattern.test(interval.close) || interval.close === '24:00');
+    if (!validOpen) {
+      errors.push({ field: `${intervalField}.open`, reason: 'must be a time as HH:MM' });
+    }
+    if (!validClose) {
+      errors.push({ field: `${intervalField}.close`, reason: 'must be a time as HH:MM' });
+    }
+    if (validOpen && validClose &&
+        toMinutes(interval.open) === toMinutes(interval.close)) {
+      errors.push({ field: intervalField, reason: 'must close at a different time than it opens' });
+    }
+    Object.keys(interval).forEach((key) => {
+      if (key !== 'open' && key !== 'close') {
+        errors.push({ field: `${intervalField}.${key}`, reason: 'is not allowed' });
+      }
+    });
+  });
+}
+
+/*
+ * Validates a business's hours.  Returns an array of errors in the same
+ * form as validate() in lib/validation.js, which is empty if the hours are
+ * valid.
+ */
+exports.validateHours = function (hours) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return [ { field: null, reason: 'request body must be an object' } ];
+  }
+
+  const errors = [];
+  if (typeof hours.timezone !== 'string' || !isTimezone(hours.timezone)) {
+    errors.push({ field: 'timezone', reason: 'must be a valid IANA timezone' });
+  }
+
+  if (!hours.weekly || typeof hours.weekly !== 'object' || Array.isArray(hours.weekly)) {
+    errors.push({ field: 'weekly', reason: 'must be an object' });
+  } else {
+    Object.keys(hours.weekly).forEach((day) => {
+      if (!days.includes(day)) {
+        errors.push({ field: `weekly.${day}`, reason: 'is not a day of the week' });
+      } else {
+        checkIntervals(hours.weekly[day], `weekly.${day}`, errors);
+      }
+    });
+  }
+
+  if (hours.exceptions !== undefined) {
+    if (!Array.isArray(hours.exceptions)) {
+      errors.push({ field: 'exceptions', reason: 'must be an array' });
+    } else {
+      const dates = [];
+      hours.exceptions.forEach((exception, i) => {
+        const field = `exceptions[${i}]`;
+        if (!exception || typeof exception !== 'object') {
+          errors.push({ field: field, reason: 'must be an object' });
+          return;
+        }
+        if (typeof exception.date !== 'string' || !isDate(exception.date)) {
+          errors.push({ field: `${field}.date`, reason: 'must be a date as YYYY-MM-DD' });
+        } else if (dates.includes(exception.date)) {
+          errors.push({ field: `${field}.date`, reason: 'must not repeat another exception' });
+        }
+        dates.push(exception.date);
+        checkIntervals(exception.intervals, `${field}.intervals`, errors);
+      });
+    }
+  }
+
+  Object.keys(hours).forEach((key) => {
+    if (![ 'timezone', 'weekly', 'exceptions' ].includes(key)) {
+      errors.push({ field: key, reason: 'is not allowed' });
+    }
+  });
+  return errors;
+};
+
+/*
+ * Extracts valid hours, with only the known fields, from a request body
+ * that has passed validateHours().
+ */
+exports.extractHours = function (hours) {
+  const toInterval = ({ open, close }) => ({ open: open, close: close });
+  const weekly = {};
+  days.forEach((day) => {
+    if (hours.weekly[day]) {
+      weekly[day] = hours.weekly[day].map(toInterval);
+    }
+  });
+  return {
+    timezone: hours.timezone,
+    weekly: weekly,
+    exceptions: (hours.exceptions || []).map(exception => ({
+      date: exception.date,
+      intervals: exception.intervals.map(toInterval)
+    }))
+  };
+};
+
+/*
+ * Finds the local date and time in a timezone at a given instant.  Returns
+ * the date as YYYY-MM-DD and the time in minutes since midnight.
+ */
+function getLocalTime(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/*
+ * Returns the date, as YYYY-MM-DD, the day before a given date.
+ */
+function getPreviousDate(date) {
+  const previous = new Date(`${date}T00:00:00Z`);
+  previous.setUTCDate(previous.getUTCDate() - 1);
+  return previous.toISOString().slice(0, 10);
+}
+
+/*
+ * Finds the intervals a business is open on a date, taking exceptions into
+ * account.
+ */
+function getIntervals(hours, date) {
+  const exception = (hours.exceptions || []).find(exception => exception.date === date);
+  if (exception) {
+    return exception.intervals;
+  }
+  const day = days[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  return hours.weekly[day] || [];
+}
+
+/*
+ * Returns whether a business with the given hours is open at an instant.
+ * Intervals running past midnight are found among the previous day's
+ * hours.
+ */
+exports.isOpenAt = function (hours, date) {
+  if (!hours) {
+    return false;
+  }
+  const local = getLocalTime(date, hours.timezone);
+
+  const openToday = getIntervals(hours, local.date).some((interval) => {
+    const open = toMinutes(interval.open);
+    const close = toMinutes(interval.close);
+    return local.minutes >= open && (close < open || local.minutes < close);
+  });
+  const openSinceYesterday = getIntervals(hours, getPreviousDate(local.date))
+    .some((interval) => {
+      const open = toMinutes(interval.open);
+      const close = toMinutes(interval.close);
+      return close < open && local.minutes < close;
+    });
+  return openToday || openSinceYesterday;
+};
+
+/*
+ * Finds the days whose hours could decide whether a business is open at an
+ * instant, whatever its timezone: each date it could be somewhere in the
+ * world, and the date before each, whose intervals may run past midnight.
+ * Returns each as its date, as YYYY-MM-DD, and its day of the week, as used
+ * in `weekly`.  Lets the businesses a database must check with isOpenAt()
+ * be narrowed to those with hours on one of these days.
+ */
+exports.getDaysAffecting = function (date) {
+  // Local times range from 12 hours behind UTC to 14 hours ahead of it.
+  const latest = new Date(date.getTime() + 14 * 60 * 60 * 1000);
+  const result = [];
+  for (let i = 3; i >= 0; i--) {
+    const day = new Date(Date.UTC(
+      latest.getUTCFullYear(), latest.getUTCMonth(), latest.getUTCDate() - i
+    ));
+    result.push({
+      date: day.toISOString().slice(0, 10),
+      day: days[day.getUTCDay()]
+    });
+  }
+  return result;
+};
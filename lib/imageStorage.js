@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const { BadRequestError, PayloadTooLargeError } = require('./errors');
+
+const uploadsDir = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+const maxImageBytes = 5 * 1024 * 1024;
+
+/*
+ * Image types accepted for upload, mapped to the file extension they're
+ * stored and served under.
+ */
+const imageTypes = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxImageBytes },
+  fileFilter: function (req, file, callback) {
+    callback(null, !!imageTypes[file.mimetype]);
+  }
+});
+
+/*
+ * Middleware that parses a multipart/form-data request containing a single
+ * image in the `image` field.  The file is made available as req.file and
+ * the remaining form fields as req.body.  Files that aren't a supported
+ * image type are dropped, leaving req.file undefined.
+ */
+exports.uploadImage = function (req, res, next) {
+  upload.single('image')(req, res, function (err) {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      next(new PayloadTooLargeError(
+        `Image must be no larger than ${maxImageBytes} bytes`, 'image_too_large'
+      ));
+    } else if (err) {
+      next(new BadRequestError(
+        "Request body is not a valid image upload", 'invalid_upload'
+      ));
+    } else {
+      next();
+    }
+  });
+};
+
+/*
+ * Stores an uploaded image on disk under a name derived from the SHA-256
+ * hash of its contents, so identical uploads share a single file.  The
+ * image's actual format is checked against the declared content type.
+ *
+ * Resolves to the stored file's metadata, or null if the file isn't a
+ * valid image of its declared type.
+ */
+exports.saveImage = async function (file) {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+  const extension = imageTypes[file.mimetype];
+  const format = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+  if (format !== extension) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const filename = `${hash}.${extension}`;
+  await fs.mkdir(uploadsDir, { recursive: true });
+  await fs.writeFile(path.join(uploadsDir, filename), file.buffer, { flag: 'wx' })
+    .catch(err => { if (err.code !== 'EEXIST') throw err; });
+
+  return {
+    filename: filename,
+    mimetype: file.mimetype,
+    width: metadata.width,
+    height: metadata.height,
+    size: file.size
+  };
+};
+
+/*
+ * Returns the absolute path of a stored image file.
+ */
+exports.getImagePath = function (filename) {
+  return path.join(uploadsDir, filename);
+};
+
+/*
+ * Returns the file extension images of the given type are served under.
+ */
+exports.getImageExtension = function (mimetype) {
+  return imageTypes[mimetype];
+};
+
+/*
+ * Returns the URL a photo's image is served from.
+ */
+exports.getPhotoUrl = function (photo) {
+  return `/media/photos/${photo.id}.${imageTypes[photo.mimetype]}`;
+};
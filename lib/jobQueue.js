@@ -0,0 +1,197 @@
+/*
+ * A simple queue of background jobs.  Two backends are provided: one that
+ * stores jobs in MySQL, so they survive restarts and can be shared between
+ * the API server and a separate worker process, and an in-process stand-in
+ * that keeps jobs in memory.  The backend is chosen with the QUEUE_BACKEND
+ * environment variable ("mysql" or "memory"), which defaults to the data
+ * backend chosen with DATA_BACKEND.
+ *
+ * Each job is attempted up to maxAttempts times.  After a failed attempt,
+ * the job is retried with exponential backoff; once its attempts are used
+ * up, it's left in the "failed" state.
+ *
+ * A reserved job is leased to the worker running it for jobLeaseMs.  If the
+ * worker stops before completing or failing the job, leaving it running,
+ * the job is reserved again once the lease runs out, or failed if that was
+ * its last attempt.
+ */
+
+const defaultMaxAttempts = 5;
+const baseRetryDelayMs = 2000;
+const jobLeaseMs = 5 * 60 * 1000;
+
+/*
+ * The error recorded for a job whose lease ran out on its last attempt.
+ */
+const leaseExpiredError = 'Worker stopped before finishing the last attempt';
+
+function getRetryDelayMs(attempts) {
+  return baseRetryDelayMs * Math.pow(2, attempts - 1);
+}
+
+/*
+ * Creates a job queue backed by the `jobs` table in MySQL, which is created
+ * by the migrations.
+ */
+function createMysqlQueue(mysqlPool) {
+  return {
+    inProcess: false,
+
+    async enqueue(type, payload, options = {}) {
+      const [ result ] = await mysqlPool.query(
+        "INSERT INTO jobs SET ?",
+        {
+          type: type,
+          payload: JSON.stringify(payload),
+          max_attempts: options.maxAttempts || defaultMaxAttempts
+        }
+      );
+      return result.insertId;
+    },
+
+    /*
+     * Claims the oldest job that is due to run, or whose lease has run out,
+     * and marks it as running.  Resolves to null if no job is due.
+     */
+    async reserve() {
+      const connection = await mysqlPool.getConnection();
+      try {
+        await connection.beginTransaction();
+        await connection.query(
+          `UPDATE jobs SET status = 'failed', last_error = ?
+          WHERE status = 'running' AND run_at <= CURRENT_TIMESTAMP(3)
+            AND attempts >= max_attempts`,
+          [ leaseExpiredError ]
+        );
+        const [ results ] = await connection.query(
+          `SELECT * FROM jobs
+          WHERE status IN ('pending', 'running')
+            AND run_at <= CURRENT_TIMESTAMP(3)
+          ORDER BY id LIMIT 1
+          FOR UPDATE SKIP LOCKED`
+        );
+        const job = results[0];
+        if (job) {
+          await connection.query(
+            `UPDATE jobs SET status = 'running', attempts = attempts + 1,
+              run_at = CURRENT_TIMESTAMP(3) + INTERVAL ? MICROSECOND
+            WHERE id = ?`,
+            [ jobLeaseMs * 1000, job.id ]
+          );
+        }
+        await connection.commit();
+        return job ? {
+          id: job.id,
+          type: job.type,
+          payload: job.payload,
+          attempts: job.attempts + 1,
+          maxAttempts: job.max_attempts
+        } : null;
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    },
+
+    async complete(job) {
+      await mysqlPool.query(
+        "UPDATE jobs SET status = 'done', last_error = NULL WHERE id = ?",
+        [ job.id ]
+      );
+    },
+
+    async fail(job, err) {
+      if (job.attempts >= job.maxAttempts) {
+        await mysqlPool.query(
+          "UPDATE jobs SET status = 'failed', last_error = ? WHERE id = ?",
+          [ String(err), job.id ]
+        );
+      } else {
+        await mysqlPool.query(
+          `UPDATE jobs SET status = 'pending', last_error = ?,
+            run_at = CURRENT_TIMESTAMP(3) + INTERVAL ? MICROSECOND
+          WHERE id = ?`,
+          [ String(err), getRetryDelayMs(job.attempts) * 1000, job.id ]
+        );
+      }
+    }
+  };
+}
+
+/*
+ * Creates a job queue that keeps jobs in memory.  Jobs are lost when the
+ * process exits, so this is only suitable when the worker runs in the same
+ * process as the API server, e.g. during development and testing.
+ */
+function createMemoryQueue() {
+  const jobs = [];
+
+  return {
+    inProcess: true,
+    jobs: jobs,
+
+    async enqueue(type, payload, options = {}) {
+      const job = {
+        id: jobs.length + 1,
+        type: type,
+        payload: payload,
+        status: 'pending',
+        attempts: 0,
+        maxAttempts: options.maxAttempts || defaultMaxAttempts,
+        runAt: Date.now(),
+        lastError: null
+      };
+      jobs.push(job);
+      return job.id;
+    },
+
+    async reserve() {
+      jobs.filter(job => job.status === 'running' && job.runAt <= Date.now() &&
+          job.attempts >= job.maxAttempts)
+        .forEach((job) => {
+          job.status = 'failed';
+          job.lastError = leaseExpiredError;
+        });
+      const job = jobs.find(
+        job => (job.status === 'pending' || job.status === 'running') &&
+          job.runAt <= Date.now()
+      );
+      if (!job) {
+        return null;
+      }
+      job.status = 'running';
+      job.attempts++;
+      job.runAt = Date.now() + jobLeaseMs;
+      return job;
+    },
+
+    async complete(job) {
+      job.status = 'done';
+      job.lastError = null;
+    },
+
+    async fail(job, err) {
+      job.lastError = String(err);
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+      } else {
+        job.status = 'pending';
+        job.runAt = Date.now() + getRetryDelayMs(job.attempts);
+      }
+    }
+  };
+}
+
+exports.createMysqlQueue = createMysqlQueue;
+exports.createMemoryQueue = createMemoryQueue;
+
+/*
+ * The queue shared by the rest of the application.
+ */
+const backend = process.env.QUEUE_BACKEND || process.env.DATA_BACKEND || 'mysql';
+
+exports.queue = backend === 'memory' ?
+  createMemoryQueue() :
+  createMysqlQueue(require('./mysqlPool'));
@@ -0,0 +1,54 @@
+/*
+ * Structured logging.  Each log entry is written to stdout as a single line
+ * of JSON, with its time, level and message alongside any other fields
+ * given, so logs can be searched and aggregated by field in production.
+ *
+ * The LOG_LEVEL environment variable sets the least severe level that's
+ * logged: debug, info (the default), warn or error.  It may also be
+ * "silent", which is the default when running the tests.
+ */
+
+const levels = [ 'debug', 'info', 'warn', 'error' ];
+
+const minLevel = process.env.LOG_LEVEL ||
+  (process.env.NODE_ENV === 'test' ? 'silent' : 'info');
+
+if (minLevel !== 'silent' && !levels.includes(minLevel)) {
+  throw new Error(`Unknown LOG_LEVEL "${minLevel}"`);
+}
+
+/*
+ * Converts an error into fields that survive being serialized as JSON.
+ */
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    stack: err.stack
+  };
+}
+
+/*
+ * Writes a log entry at the given level, unless that level isn't logged.
+ * An `err` among the fields is logged with its message and stack.
+ */
+function log(level, message, fields = {}) {
+  if (minLevel === 'silent' || levels.indexOf(level) < levels.indexOf(minLevel)) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level: level,
+    message: message,
+    ...fields
+  };
+  if (fields.err instanceof Error) {
+    entry.err = serializeError(fields.err);
+  }
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+levels.forEach((level) => {
+  exports[level] = (message, fields) => log(level, message, fields);
+});
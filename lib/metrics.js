@@ -0,0 +1,116 @@
+/*
+ * Metrics for Prometheus, served in its text format by GET /metrics.
+ * Along with Node's default process metrics, these count and time requests
+ * by route, and track the MySQL pool's connections and how long queries
+ * take.
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Requests handled, by method, route and status code',
+  labelNames: [ 'method', 'route', 'status' ],
+  registers: [ registry ]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to respond to requests, by method, route and status code',
+  labelNames: [ 'method', 'route', 'status' ],
+  buckets: [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ],
+  registers: [ registry ]
+});
+
+const mysqlQueryDuration = new client.Histogram({
+  name: 'mysql_query_duration_seconds',
+  help: 'Time taken by MySQL queries, by the kind of statement',
+  labelNames: [ 'statement' ],
+  buckets: [ 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5 ],
+  registers: [ registry ]
+});
+
+/*
+ * Records a request that has been responded to.  Requests are labeled by
+ * the route that handled them, such as /businesses/:businessid, rather than
+ * their path, so each route has a single series.
+ */
+function observeRequest(method, route, status, seconds) {
+  const labels = { method: method, route: route, status: status };
+  httpRequests.inc(labels);
+  httpRequestDuration.observe(labels, seconds);
+}
+
+/*
+ * Records how long a MySQL query took, labeled by its first keyword, such as
+ * SELECT or UPDATE.
+ */
+function observeQuery(sql, seconds) {
+  const match = /^\s*(\w+)/.exec(sql);
+  const statement = match ? match[1].toUpperCase() : 'UNKNOWN';
+  mysqlQueryDuration.observe({ statement: statement }, seconds);
+}
+
+/*
+ * Reads the length of one of a mysql2 pool's lists of connections or
+ * waiting requests.  They aren't part of mysql2's public API, so this
+ * returns undefined if the pool has no such list.
+ */
+function getPoolListLength(pool, list) {
+  return pool[list] && typeof pool[list].length === 'number' ?
+    pool[list].length :
+    undefined;
+}
+
+/*
+ * Adds gauges reporting how many of a mysql2 pool's connections are in use
+ * or idle, and how many requests for a connection are waiting.  They're read
+ * from the pool whenever metrics are collected, and left unset if a version
+ * of mysql2 keeps track of them differently.
+ */
+function monitorPool(mysqlPool) {
+  const pool = mysqlPool.pool;
+  new client.Gauge({
+    name: 'mysql_pool_connections',
+    help: 'Connections in the MySQL pool, by whether they are in use',
+    labelNames: [ 'state' ],
+    registers: [ registry ],
+    collect() {
+      const all = getPoolListLength(pool, '_allConnections');
+      const idle = getPoolListLength(pool, '_freeConnections');
+      if (all !== undefined && idle !== undefined) {
+        this.set({ state: 'used' }, all - idle);
+        this.set({ state: 'idle' }, idle);
+      }
+    }
+  });
+  new client.Gauge({
+    name: 'mysql_pool_queued_requests',
+    help: 'Requests waiting for a connection from the MySQL pool',
+    registers: [ registry ],
+    collect() {
+      const queued = getPoolListLength(pool, '_connectionQueue');
+      if (queued !== undefined) {
+        this.set(queued);
+      }
+    }
+  });
+  new client.Gauge({
+    name: 'mysql_pool_connection_limit',
+    help: 'Most connections the MySQL pool will open',
+    registers: [ registry ],
+    collect() {
+      this.set(pool.config.connectionLimit);
+    }
+  });
+}
+
+module.exports = {
+  registry,
+  observeRequest,
+  observeQuery,
+  monitorPool
+};
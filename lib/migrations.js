@@ -0,0 +1,123 @@
+/*
+ * Applies and rolls back the versioned schema migrations in migrations/.
+ *
+ * Each migration is a module named with a zero-padded number and a short
+ * description, e.g. 001-create-users.js, exporting async up() and down()
+ * functions that receive a MySQL connection.  Migrations are applied in
+ * order of their numbers, and the name of each applied migration is
+ * recorded in the schema_migrations table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const migrationsDir = path.join(__dirname, '..', 'migrations');
+
+/*
+ * Loads every migration in the migrations directory, sorted by version.
+ */
+function loadMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .filter(filename => /^\d+-.*\.js$/.test(filename))
+    .sort()
+    .map(filename => ({
+      version: path.basename(filename, '.js'),
+      ...require(path.join(migrationsDir, filename))
+    }));
+}
+
+async function ensureMigrationsTable(mysqlPool) {
+  await mysqlPool.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version varchar(255) NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    )`
+  );
+}
+
+async function getAppliedVersions(mysqlPool) {
+  await ensureMigrationsTable(mysqlPool);
+  const [ results ] = await mysqlPool.query(
+    "SELECT version FROM schema_migrations ORDER BY version"
+  );
+  return results.map(row => row.version);
+}
+
+/*
+ * Lists every migration along with whether it has been applied.
+ */
+exports.getMigrationStatus = async function (mysqlPool) {
+  const applied = await getAppliedVersions(mysqlPool);
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    applied: applied.includes(migration.version)
+  }));
+};
+
+/*
+ * Lists the versions of the migrations that haven't been applied yet.
+ */
+exports.getPendingMigrations = async function (mysqlPool) {
+  const status = await exports.getMigrationStatus(mysqlPool);
+  return status
+    .filter(migration => !migration.applied)
+    .map(migration => migration.version);
+};
+
+/*
+ * Applies every pending migration in order.  Resolves to the versions of
+ * the migrations applied.
+ */
+exports.migrateUp = async function (mysqlPool) {
+  const applied = await getAppliedVersions(mysqlPool);
+  const pending = loadMigrations()
+    .filter(migration => !applied.includes(migration.version));
+
+  const connection = await mysqlPool.getConnection();
+  try {
+    for (const migration of pending) {
+      await migration.up(connection);
+      await connection.query(
+        "INSERT INTO schema_migrations (version) VALUES (?)",
+        [ migration.version ]
+      );
+    }
+  } finally {
+    connection.release();
+  }
+  return pending.map(migration => migration.version);
+};
+
+/*
+ * Rolls back the given number of most recently applied migrations, newest
+ * first.  Resolves to the versions of the migrations rolled back.
+ */
+exports.migrateDown = async function (mysqlPool, steps = 1) {
+  if (steps < 1) {
+    return [];
+  }
+  const applied = await getAppliedVersions(mysqlPool);
+  const migrations = loadMigrations();
+  const rollbacks = applied.slice(-steps).reverse().map((version) => {
+    const migration = migrations.find(migration => migration.version === version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} not found in ${migrationsDir}`);
+    }
+    return migration;
+  });
+
+  const connection = await mysqlPool.getConnection();
+  try {
+    for (const migration of rollbacks) {
+      await migration.down(connection);
+      await connection.query(
+        "DELETE FROM schema_migrations WHERE version = ?",
+        [ migration.version ]
+      );
+    }
+  } finally {
+    connection.release();
+  }
+  return rollbacks.map(migration => migration.version);
+};
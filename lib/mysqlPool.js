@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { observeQuery, monitorPool } = require('./metrics');
 
 const mysqlHost = process.env.MYSQL_HOST || 'mysql';
 const mysqlPort = process.env.MYSQL_PORT || '3306';
@@ -6,6 +7,18 @@ const mysqlDB = process.env.MYSQL_DATABASE;
 const mysqlUser = process.env.MYSQL_USER;
 const mysqlPassword = process.env.MYSQL_PASSWORD;
 
+/*
+ * Reads BOOLEAN columns, which MySQL stores as TINYINT(1), as booleans
+ * rather than 0 or 1.
+ */
+function typeCast(field, next) {
+  if (field.type === 'TINY' && field.length === 1) {
+    const value = field.string();
+    return value === null ? null : value === '1';
+  }
+  return next();
+}
+
 const maxMySQLConnections = 10;
 const mysqlPool = mysql.createPool({
     connectionLimit: maxMySQLConnections,
@@ -13,6 +26,38 @@ const mysqlPool = mysql.createPool({
     port: mysqlPort,
     database: mysqlDB,
     user: mysqlUser,
-    password: mysqlPassword
+    password: mysqlPassword,
+    decimalNumbers: true,
+    typeCast: typeCast
 });
+
+/*
+ * Times every query made through the given pool or connection for the
+ * metrics.
+ */
+function timeQueries(target) {
+  const query = target.query.bind(target);
+  target.query = async function (sql, ...args) {
+    const start = process.hrtime.bigint();
+    try {
+      return await query(sql, ...args);
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      observeQuery(typeof sql === 'string' ? sql : sql.sql, seconds);
+    }
+  };
+  return target;
+}
+
+/*
+ * Connections taken from the pool for transactions are timed too.
+ */
+const getConnection = mysqlPool.getConnection.bind(mysqlPool);
+mysqlPool.getConnection = async function () {
+  return timeQueries(await getConnection());
+};
+
+timeQueries(mysqlPool);
+monitorPool(mysqlPool);
+
 module.exports = mysqlPool;
\ No newline at end of file
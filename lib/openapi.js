@@ -0,0 +1,174 @@
+/*
+ * The API's OpenAPI description, public/openapi.yaml, is loaded when the
+ * server starts, and every request is validated against it before it
+ * reaches its route.  Requests it rejects get the same problem details as
+ * those rejected by a route's own validation (see lib/errors.js), with each
+ * problem listed in `errors`.  When testing, responses are validated
+ * against it too, so a route that drifts from its description fails its
+ * tests with a 500.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const yaml = require('js-yaml');
+const OpenApiValidator = require('express-openapi-validator');
+
+const { formats } = require('./validation');
+const { getAuthenticatedUser } = require('./auth');
+const {
+  ApiError, ValidationError, UnauthorizedError, UnsupportedMediaTypeError
+} = require('./errors');
+
+const specPath = path.join(__dirname, '..', 'public', 'openapi.yaml');
+
+/*
+ * The parsed OpenAPI description.
+ */
+const spec = yaml.load(fs.readFileSync(specPath, 'utf8'));
+
+/*
+ * Photos are uploaded as multipart forms, which are only parsed by their
+ * route once the user is authenticated, so their fields can't be validated
+ * beforehand.  That route validates them itself.
+ */
+const unparsedPaths = /^\/photos$/;
+
+/*
+ * Converts the reason the validator gives for a problem, like "must be <= 5",
+ * into the wording used by lib/validation.js, like "must be at most 5".
+ * Reasons with no equivalent are kept as they are.
+ */
+function toReason(keyword, message, atRoot) {
+  const number = (/(-?\d+(?:\.\d+)?)/.exec(message) || [])[1];
+  switch (keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'type': {
+      if (atRoot) {
+        return 'request body must be an object';
+      }
+      const type = /must be (\w+)/.exec(message)[1];
+      return `must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+    }
+    case 'minProperties':
+      return atRoot ?
+        'request body must contain at least one field' :
+        message;
+    case 'minimum':
+      return `must be at least ${number}`;
+    case 'maximum':
+      return `must be at most ${number}`;
+    case 'minLength':
+      return `must be at least ${number} characters long`;
+    case 'maxLength':
+      return `must be at most ${number} characters long`;
+    case 'format':
+      return `must be a valid ${/"(.*)"/.exec(message)[1]}`;
+    default:
+      return message;
+  }
+}
+
+/*
+ * Converts a problem found by the validator into the `{ field, reason }`
+ * form returned by validate() in lib/validation.js.  The validator gives
+ * the problem's location as a path like /body/weekly/monday/0/open, which
+ * becomes the field weekly.monday[0].open; a problem with the whole body
+ * has a null field.  Unknown query parameters aren't allowed, just like
+ * unknown fields.
+ */
+function toFieldError(error) {
+  const segments = error.path.split('/').slice(2);
+  const field = segments.reduce((field, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${field}[${segment}]`;
+    }
+    return field ? `${field}.${segment}` : segment;
+  }, '');
+  const keyword = /^Unknown query parameter/.test(error.message) ?
+    'additionalProperties' :
+    (error.errorCode || '').split('.')[0];
+  return {
+    field: field || null,
+    reason: toReason(keyword, error.message, !field)
+  };
+}
+
+/*
+ * Converts an error raised by the validator into the equivalent ApiError.
+ * Any other error is passed on unchanged.  Like lib/validation.js, fields
+ * that aren't allowed are listed after the problems with allowed fields.
+ */
+function fromValidatorError(err) {
+  if (err instanceof OpenApiValidator.error.Unauthorized) {
+    return new UnauthorizedError("Invalid authentication token", 'invalid_token');
+  }
+  if (err instanceof OpenApiValidator.error.UnsupportedMediaType) {
+    return new UnsupportedMediaTypeError("Request body must be JSON");
+  }
+  if (!(err instanceof OpenApiValidator.error.BadRequest)) {
+    return err;
+  }
+  const errors = err.errors.map(toFieldError);
+  const notAllowed = error => error.reason === 'is not allowed';
+  return new ValidationError(
+    "Request does not match the API description",
+    errors.filter(error => !notAllowed(error))
+      .concat(errors.filter(notAllowed))
+  );
+}
+
+/*
+ * Called when a response doesn't match its description, which can only
+ * happen when testing.  The error is thrown from the route as it responds,
+ * so the route sends it as a 500 instead.
+ */
+function rejectResponse(err) {
+  throw new ApiError(
+    500,
+    http.STATUS_CODES[500],
+    'invalid_response',
+    `Response does not match the API description: ${err.message}`
+  );
+}
+
+/*
+ * The validator is given its own copy of the description, since it
+ * resolves the references in the copy it's given.  Routes needing a bearer
+ * token are checked for a valid one before the rest of the request is
+ * validated, so a request without one fails with a 401 whatever else is
+ * wrong with it.
+ */
+const validator = OpenApiValidator.middleware({
+  apiSpec: JSON.parse(JSON.stringify(spec)),
+  validateRequests: { allErrors: true },
+  validateResponses: process.env.NODE_ENV === 'test' ?
+    { onError: rejectResponse } :
+    false,
+  validateSecurity: {
+    handlers: { bearerAuth: req => getAuthenticatedUser(req) !== null }
+  },
+  ignoreUndocumented: true,
+  ignorePaths: unparsedPaths,
+  fileUploader: false,
+  formats: formats
+});
+
+/*
+ * Middleware validating requests, and in tests responses, against the API's
+ * description.  It must be added after the body parser and before the
+ * routes.
+ */
+const validateRequests = require('express').Router();
+validateRequests.use(validator);
+validateRequests.use(function (err, req, res, next) {
+  next(fromValidatorError(err));
+});
+
+module.exports = {
+  spec,
+  validateRequests
+};
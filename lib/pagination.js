@@ -0,0 +1,53 @@
+/*
+ * Paging through the lists the API sends a page at a time.
+ */
+
+const pageSize = 10;
+
+/*
+ * Works out which page of a list of `count` records to send for the
+ * requested page number, which is clamped to the pages there are.  Returns
+ * the page's number along with the totalPages, pageSize and count to send
+ * with it, and the offset of its first record.
+ */
+function getPage(count, page) {
+  const totalPages = Math.ceil(count / pageSize);
+  page = page > totalPages ? totalPages : page;
+  page = page < 1 ? 1 : page;
+  return {
+    page: page,
+    totalPages: totalPages,
+    pageSize: pageSize,
+    count: count,
+    offset: (page - 1) * pageSize
+  };
+}
+
+/*
+ * Builds links to the other pages of the list a request fetched a page of,
+ * preserving the request's other query parameters.
+ */
+function buildPageLinks(req, page, totalPages) {
+  const path = (req.baseUrl + req.path).replace(/(.)\/$/, '$1');
+  function pageLink(page) {
+    const params = new URLSearchParams(req.query);
+    params.set('page', page);
+    return `${path}?${params}`;
+  }
+
+  const links = {};
+  if (page < totalPages) {
+    links.nextPage = pageLink(page + 1);
+    links.lastPage = pageLink(totalPages);
+  }
+  if (page > 1) {
+    links.prevPage = pageLink(page - 1);
+    links.firstPage = pageLink(1);
+  }
+  return links;
+}
+
+module.exports = {
+  getPage,
+  buildPageLinks
+};
@@ -0,0 +1,165 @@
+/*
+ * Repositories provide all access to stored businesses, reviews, photos,
+ * users, webhooks and the audit log, so the API routes don't depend on how
+ * the data is stored.  Two backends implement the same interface: "mysql"
+ * (the default) and "memory", which needs no database and is useful for
+ * testing and local development.  The backend is chosen with the
+ * DATA_BACKEND environment variable.
+ *
+ * All repository methods are async.  Records are returned as plain objects
+ * with the same fields as the corresponding MySQL table, and methods that
+ * fetch a single record resolve to undefined if it doesn't exist.
+ *
+ * Every resource repository provides:
+ *
+ *   getById(id)                  - fetch a single record
+ *   insert(fields)               - create a record; resolves to its id
+ *   update(id, fields, version)  - change some of a record's fields;
+ *                                  resolves to false if it doesn't exist
+ *   delete(id, version)          - resolves to false if it doesn't exist
+ *   countByUser(userid)          - count the records belonging to a user
+ *   listByUser(userid, sort, offset, limit)
+ *                                - list a page of the records belonging to
+ *                                  a user
+ *
+ * A business belongs to its owner, and reviews and photos to their authors.
+ * Sorts are given as { field, descending }, where field is a column name.
+ *
+ * Businesses, reviews and photos have a version, which starts at 1 and is
+ * incremented whenever the record changes.  A business's version is also
+ * incremented whenever its reviews or photos change, since they're part of
+ * its details.  Methods that change a record take the version the caller
+ * expects it to have as an optional last argument, and resolve to false
+ * without changing anything if the record has a different version.
+ *
+ * Every method that creates, changes or deletes a business, review or photo
+ * also takes the id of the user making the change, the `actor`, as a final
+ * argument after the version, if it takes one, and records the change in
+ * the audit log (see lib/audit.js) in the same transaction.  Changes made
+ * by the system, such as a photo's thumbnails being recorded, aren't
+ * audited.
+ *
+ * Deleting a business only soft-deletes it, by setting its deleted_at.
+ * Deleted businesses, along with their reviews and photos, are left out of
+ * everything the repositories return, except where getById() is passed the
+ * `includeDeleted` option.  The businesses and photos repositories accept
+ * it, as getById(id, { includeDeleted: true }).
+ *
+ * The businesses repository also provides:
+ *
+ *   getDetailsById(id)           - fetch a business along with the rating
+ *                                  aggregates computed from its reviews:
+ *                                  averageStars, averageDollars, reviewCount
+ *                                  and starHistogram
+ *   count(filter)                - count the businesses matching a filter
+ *   list(filter, sort, offset, limit)
+ *                                - list a page of the businesses matching a
+ *                                  filter, with their rating aggregates
+ *   stream(filter, sort)         - like list(), but returns an async
+ *                                  iterator over every matching business,
+ *                                  read from the database as it's consumed
+ *   insertMany(businesses)       - create several businesses in a single
+ *                                  transaction; resolves to their ids
+ *   setHours(id, hours, version) - replace a business's opening hours
+ *   restore(id)                  - undo deleting a business; resolves to
+ *                                  false if it isn't deleted
+ *   purge(id, version)           - permanently delete a business along with
+ *                                  its reviews and photos
+ *
+ * A filter may match any of city, state, zip, category and subcategory
+ * exactly (ignoring case), and `q` against part of the name or address.
+ * Its `openAt` may give a Date at which businesses must be open, according
+ * to their hours, and its `near` may give a { latitude, longitude, radius }
+ * that businesses must be within, in kilometers.
+ *
+ * Businesses may be sorted by id, name, rating or reviewCount.  Businesses
+ * listed with a `near` filter include their `distance` from it, in
+ * kilometers, and may also be sorted by distance.  Reviews hidden by
+ * moderators don't count towards the rating aggregates.
+ *
+ * The reviews and photos repositories also provide:
+ *
+ *   listByBusiness(businessid)   - list all of the records for a business,
+ *                                  leaving out hidden reviews
+ *
+ * along with, for reviews:
+ *
+ *   existsForUserAndBusiness(userid, businessid)
+ *   streamByUser(userid, sort)   - like listByUser(), but returns an async
+ *                                  iterator over all of a user's reviews
+ *   flag(id, userid, reason)     - record a user's flag on a review; resolves
+ *                                  to the flag's id, or null if the user
+ *                                  has already flagged it
+ *   countFlagged()               - count the reviews with unresolved flags
+ *   listFlagged(offset, limit)   - list a page of the reviews with unresolved
+ *                                  flags, each with a list of its `flags`
+ *   moderate(id, hidden)         - hide or unhide a review, resolving its
+ *                                  flags
+ *
+ * and for photos:
+ *
+ *   setThumbs(id, thumbs)        - record a photo's generated thumbnails
+ *
+ * Inserting a review records a review.created event, updating one a
+ * review.updated event, and inserting a photo a photo.created event, in the
+ * webhook_deliveries outbox (see lib/webhooks.js).  Each event is recorded
+ * as a delivery to every webhook of the business subscribed to it, in the
+ * same transaction as the change.
+ *
+ * The webhooks repository provides getById(id), listByBusiness(businessid),
+ * insert(webhook) and delete(id), which also deletes the webhook's
+ * deliveries, along with:
+ *
+ *   countDeliveries(webhookid)   - count the deliveries to a webhook
+ *   listDeliveries(webhookid, offset, limit)
+ *                                - list a page of the deliveries to a
+ *                                  webhook, newest first
+ *   reserveDelivery(leaseMs)     - claim the oldest pending delivery that is
+ *                                  due, marking it as sending and counting
+ *                                  the attempt; resolves to the delivery
+ *                                  along with its webhook's url and secret,
+ *                                  or null if none is due.  The claim
+ *                                  lasts leaseMs, after which a delivery
+ *                                  still sending, because its worker
+ *                                  stopped, may be claimed again
+ *   completeDelivery(id, responseStatus)
+ *                                - mark a delivery as delivered
+ *   failDelivery(id, responseStatus, error, retryDelayMs)
+ *                                - record a failed attempt at a delivery,
+ *                                  retrying it after retryDelayMs, or
+ *                                  marking it as failed if that's null
+ *
+ * The audit repository provides:
+ *
+ *   countByRecord(table, id)     - count the audit log entries of a
+ *                                  business, review or photo, given the
+ *                                  name of its table
+ *   listByRecord(table, id, offset, limit)
+ *                                - list a page of a record's entries,
+ *                                  newest first
+ *   listUpToVersion(table, id, version)
+ *                                - list all of a record's entries up to
+ *                                  and including the given version, oldest
+ *                                  first
+ *
+ * The users repository provides getById(id), getByEmail(email),
+ * insert(user), which resolves to null if the email address is already
+ * registered, and getSummaryById(id), which fetches a user's id and name
+ * along with their businessCount, reviewCount and photoCount.
+ */
+
+const backend = process.env.DATA_BACKEND || 'mysql';
+
+if (backend !== 'mysql' && backend !== 'memory') {
+  throw new Error(`Unknown DATA_BACKEND "${backend}"`);
+}
+
+module.exports = {
+  backend: backend,
+  businesses: require(`./${backend}/businesses`),
+  reviews: require(`./${backend}/reviews`),
+  photos: require(`./${backend}/photos`),
+  users: require(`./${backend}/users`),
+  webhooks: require(`./${backend}/webhooks`),
+  audit: require(`./${backend}/audit`)
+};
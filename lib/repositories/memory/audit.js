@@ -0,0 +1,25 @@
+const store = require('./store');
+
+/*
+ * Returns the audit log entries of a record.
+ */
+function entriesOf(table, id) {
+  return store.tables.audit_log
+    .filter(entry => entry.table_name === table && entry.record_id === id);
+}
+
+exports.countByRecord = async function (table, id) {
+  return entriesOf(table, id).length;
+};
+
+exports.listByRecord = async function (table, id, offset, limit) {
+  return store.page(
+    entriesOf(table, id), { field: 'id', descending: true }, offset, limit
+  );
+};
+
+exports.listUpToVersion = async function (table, id, version) {
+  const entries = entriesOf(table, id)
+    .filter(entry => entry.version <= version);
+  return store.page(entries, { field: 'id' }, 0, entries.length);
+};
@@ -0,0 +1,187 @@
+const store = require('./store');
+const { isOpenAt } = require('../../hours');
+const { getDistanceKm } = require('../../geo');
+const { recordChange, insertRecord, changeRecord } = require('./changes');
+
+/*
+ * Returns a copy of a business row without deleted_at, to match the MySQL
+ * repository.
+ */
+function toBusiness(row) {
+  const { deleted_at, ...business } = store.copy(row);
+  return business;
+}
+
+/*
+ * Adds the rating aggregates computed over its reviews to a business, to
+ * match the MySQL repository.
+ */
+function withRatings(business) {
+  const reviews = store.tables.reviews
+    .filter(review => review.businessid === business.id && !review.hidden);
+  const average = field => reviews.length ?
+    reviews.reduce((sum, review) => sum + review[field], 0) / reviews.length :
+    null;
+
+  const ratedBusiness = toBusiness(business);
+  ratedBusiness.averageStars = average('stars');
+  ratedBusiness.averageDollars = average('dollars');
+  ratedBusiness.reviewCount = reviews.length;
+  ratedBusiness.starHistogram = {};
+  for (let stars = 0; stars <= 5; stars++) {
+    ratedBusiness.starHistogram[stars] = reviews.filter(
+      review => Math.min(Math.floor(review.stars), 5) === stars
+    ).length;
+  }
+  return ratedBusiness;
+}
+
+/*
+ * Compares strings case-insensitively, as MySQL's default collation does.
+ */
+function equalsIgnoringCase(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function matchesFilter(business, filter) {
+  const fieldsMatch = [ 'city', 'state', 'zip', 'category', 'subcategory' ]
+    .every(field => !filter[field] || equalsIgnoringCase(business[field], filter[field]));
+  const q = filter.q && filter.q.toLowerCase();
+  const textMatches = !q ||
+    business.name.toLowerCase().includes(q) ||
+    business.address.toLowerCase().includes(q);
+  const openMatches = !filter.openAt || isOpenAt(business.hours, filter.openAt);
+  const nearMatches = !filter.near || (
+    business.latitude !== null &&
+    getDistanceKm(filter.near, business) <= filter.near.radius
+  );
+  return fieldsMatch && textMatches && openMatches && nearMatches;
+}
+
+const sortFields = {
+  id: 'id',
+  name: 'name',
+  rating: 'averageStars',
+  reviewCount: 'reviewCount',
+  distance: 'distance'
+};
+
+exports.getById = async function (id, { includeDeleted = false } = {}) {
+  const business = includeDeleted ?
+    store.find('businesses', id) :
+    store.findVisible('businesses', id);
+  return business && toBusiness(business);
+};
+
+exports.getDetailsById = async function (id) {
+  const business = store.findVisible('businesses', id);
+  return business && withRatings(business);
+};
+
+exports.count = async function (filter) {
+  return store.visible('businesses')
+    .filter(business => matchesFilter(business, filter))
+    .length;
+};
+
+exports.list = async function (filter, sort, offset, limit) {
+  const businesses = store.visible('businesses')
+    .filter(business => matchesFilter(business, filter))
+    .map((business) => {
+      const ratedBusiness = withRatings(business);
+      if (filter.near) {
+        ratedBusiness.distance = getDistanceKm(filter.near, business);
+      }
+      return ratedBusiness;
+    });
+  return store.page(
+    businesses,
+    { field: sortFields[sort.field], descending: sort.descending },
+    offset,
+    limit
+  );
+};
+
+exports.stream = async function* (filter, sort) {
+  const businesses = await exports.list(filter, sort, 0, Infinity);
+  yield* businesses;
+};
+
+exports.countByUser = async function (userid) {
+  return store.visible('businesses')
+    .filter(business => business.ownerid === userid)
+    .length;
+};
+
+exports.listByUser = async function (userid, sort, offset, limit) {
+  const businesses = store.visible('businesses')
+    .filter(business => business.ownerid === userid);
+  return store.page(businesses, sort, offset, limit).map(toBusiness);
+};
+
+exports.insert = async function (business, actor) {
+  return insertRecord('businesses', business, actor);
+};
+
+exports.insertMany = async function (businesses, actor) {
+  return businesses.map(business => insertRecord('businesses', business, actor));
+};
+
+exports.update = async function (id, fields, version, actor) {
+  return changeRecord('businesses', id, 'update', actor, () =>
+    store.update('businesses', id, fields, version));
+};
+
+exports.delete = async function (id, version, actor) {
+  if (!store.findVisible('businesses', id)) {
+    return false;
+  }
+  return changeRecord('businesses', id, 'delete', actor, () =>
+    store.update('businesses', id, { deleted_at: new Date() }, version));
+};
+
+exports.setHours = async function (id, hours, version, actor) {
+  return changeRecord('businesses', id, 'update', actor, () =>
+    store.update('businesses', id, { hours: hours }, version));
+};
+
+exports.restore = async function (id, actor) {
+  const business = store.find('businesses', id);
+  if (!business || business.deleted_at === null) {
+    return false;
+  }
+  return changeRecord('businesses', id, 'restore', actor, () =>
+    store.update('businesses', id, { deleted_at: null }));
+};
+
+exports.purge = async function (id, version, actor) {
+  const business = store.find('businesses', id);
+  if (!business || (version !== undefined && business.version !== version)) {
+    return false;
+  }
+  const reviewids = store.tables.reviews
+    .filter(review => review.businessid === id)
+    .map(review => review.id);
+  store.tables.review_flags
+    .filter(flag => reviewids.includes(flag.reviewid))
+    .forEach(flag => store.remove('review_flags', flag.id));
+  const webhookids = store.tables.webhooks
+    .filter(webhook => webhook.businessid === id)
+    .map(webhook => webhook.id);
+  store.tables.webhook_deliveries
+    .filter(delivery => webhookids.includes(delivery.webhookid))
+    .forEach(delivery => store.remove('webhook_deliveries', delivery.id));
+  [ 'reviews', 'photos', 'webhooks' ].forEach((table) => {
+    store.tables[table]
+      .filter(row => row.businessid === id)
+      .forEach((row) => {
+        // Deleted reviews and photos are recorded in the audit log too.
+        if (table === 'reviews' || table === 'photos') {
+          recordChange(table, 'delete', store.copy(row), undefined, actor);
+        }
+        store.remove(table, row.id);
+      });
+  });
+  recordChange('businesses', 'purge', store.copy(business), undefined, actor);
+  return store.remove('businesses', id);
+};
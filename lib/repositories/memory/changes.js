@@ -0,0 +1,55 @@
+/*
+ * Records changes to businesses, reviews and photos in the audit log, as
+ * the MySQL repositories do (see mysql/changes.js).
+ */
+
+const store = require('./store');
+const { diffRecords } = require('../../audit');
+
+/*
+ * Records a change to a record in the audit log, given the record before
+ * and after the change, either of which may be undefined.
+ */
+function recordChange(table, action, before, after, actor) {
+  const record = after || before;
+  store.insert('audit_log', {
+    table_name: table,
+    record_id: record.id,
+    action: action,
+    actor: actor,
+    version: record.version,
+    changes: diffRecords(before, after),
+    created_at: new Date()
+  });
+}
+
+/*
+ * Inserts a record and records its creation in the audit log.  Returns the
+ * record's id.
+ */
+function insertRecord(table, fields, actor) {
+  const id = store.insert(table, fields);
+  recordChange(table, 'create', undefined, store.copy(store.find(table, id)), actor);
+  return id;
+}
+
+/*
+ * Makes a change to a single record, recording it in the audit log.
+ * `change` should return whether it changed the record; nothing is recorded
+ * if it didn't.  Returns whatever `change` returns.
+ */
+function changeRecord(table, id, action, actor, change) {
+  const before = store.copy(store.find(table, id));
+  const changed = change();
+  if (changed) {
+    const after = store.copy(store.find(table, id));
+    recordChange(table, action, before, after, actor);
+  }
+  return changed;
+}
+
+module.exports = {
+  recordChange,
+  insertRecord,
+  changeRecord
+};
@@ -0,0 +1,27 @@
+/*
+ * Records events about reviews and photos in the webhook_deliveries outbox,
+ * as the MySQL repositories do (see mysql/outbox.js).
+ */
+
+const store = require('./store');
+const { getEventData } = require('../../webhooks');
+
+/*
+ * Records an event about a review or photo as a pending delivery to each of
+ * its business's webhooks subscribed to the event.
+ */
+exports.recordEvent = function (event, table, id) {
+  const record = store.copy(store.find(table, id));
+  store.tables.webhooks
+    .filter(webhook => webhook.businessid === record.businessid &&
+      webhook.events.includes(event))
+    .forEach((webhook) => {
+      store.insert('webhook_deliveries', {
+        webhookid: webhook.id,
+        event: event,
+        payload: getEventData(event, record),
+        run_at: new Date(),
+        created_at: new Date()
+      });
+    });
+};
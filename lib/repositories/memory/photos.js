@@ -0,0 +1,74 @@
+const store = require('./store');
+const { recordEvent } = require('./outbox');
+const { recordChange, insertRecord, changeRecord } = require('./changes');
+
+/*
+ * Increments the version of the business a photo belongs to, since its
+ * details include the photo.
+ */
+function touchBusiness(photo) {
+  store.touch('businesses', photo.businessid);
+}
+
+exports.getById = async function (id, { includeDeleted = false } = {}) {
+  return store.copy(includeDeleted ?
+    store.find('photos', id) :
+    store.findVisible('photos', id));
+};
+
+exports.listByBusiness = async function (businessid) {
+  const photos = store.visible('photos')
+    .filter(photo => photo.businessid === businessid);
+  return store.page(photos, { field: 'id' }, 0, photos.length);
+};
+
+exports.countByUser = async function (userid) {
+  return store.visible('photos')
+    .filter(photo => photo.userid === userid)
+    .length;
+};
+
+exports.listByUser = async function (userid, sort, offset, limit) {
+  const photos = store.visible('photos')
+    .filter(photo => photo.userid === userid);
+  return store.page(photos, sort, offset, limit);
+};
+
+exports.insert = async function (photo, actor) {
+  const id = insertRecord('photos', photo, actor);
+  touchBusiness(photo);
+  recordEvent('photo.created', 'photos', id);
+  return id;
+};
+
+exports.update = async function (id, fields, version, actor) {
+  const photo = store.copy(store.find('photos', id));
+  const updated = changeRecord('photos', id, 'update', actor, () =>
+    store.update('photos', id, fields, version));
+  if (updated) {
+    touchBusiness(store.find('photos', id));
+    // A photo moved to another business is no longer part of the old
+    // business's details either.
+    if (fields.businessid !== undefined &&
+        fields.businessid !== photo.businessid) {
+      touchBusiness(photo);
+    }
+  }
+  return updated;
+};
+
+exports.setThumbs = async function (id, thumbs) {
+  if (store.update('photos', id, { thumbs: thumbs })) {
+    touchBusiness(store.find('photos', id));
+  }
+};
+
+exports.delete = async function (id, version, actor) {
+  const photo = store.copy(store.find('photos', id));
+  if (!store.remove('photos', id, version)) {
+    return false;
+  }
+  recordChange('photos', 'delete', photo, undefined, actor);
+  touchBusiness(photo);
+  return true;
+};
@@ -0,0 +1,129 @@
+const store = require('./store');
+const { recordEvent } = require('./outbox');
+const { recordChange, insertRecord, changeRecord } = require('./changes');
+
+/*
+ * Increments the version of the business a review belongs to, since its
+ * details include the review.
+ */
+function touchBusiness(review) {
+  store.touch('businesses', review.businessid);
+}
+
+exports.getById = async function (id) {
+  return store.copy(store.findVisible('reviews', id));
+};
+
+exports.listByBusiness = async function (businessid) {
+  const reviews = store.visible('reviews')
+    .filter(review => review.businessid === businessid && !review.hidden);
+  return store.page(reviews, { field: 'id' }, 0, reviews.length);
+};
+
+exports.countByUser = async function (userid) {
+  return store.visible('reviews')
+    .filter(review => review.userid === userid)
+    .length;
+};
+
+exports.listByUser = async function (userid, sort, offset, limit) {
+  const reviews = store.visible('reviews')
+    .filter(review => review.userid === userid);
+  return store.page(reviews, sort, offset, limit);
+};
+
+exports.streamByUser = async function* (userid, sort) {
+  const reviews = await exports.listByUser(userid, sort, 0, Infinity);
+  yield* reviews;
+};
+
+exports.existsForUserAndBusiness = async function (userid, businessid) {
+  return store.tables.reviews.some(
+    review => review.userid === userid && review.businessid === businessid
+  );
+};
+
+exports.insert = async function (review, actor) {
+  const id = insertRecord('reviews', review, actor);
+  touchBusiness(review);
+  recordEvent('review.created', 'reviews', id);
+  return id;
+};
+
+exports.update = async function (id, fields, version, actor) {
+  const updated = changeRecord('reviews', id, 'update', actor, () =>
+    store.update('reviews', id, fields, version));
+  if (updated) {
+    touchBusiness(store.find('reviews', id));
+    recordEvent('review.updated', 'reviews', id);
+  }
+  return updated;
+};
+
+exports.delete = async function (id, version, actor) {
+  const review = store.copy(store.find('reviews', id));
+  if (!store.remove('reviews', id, version)) {
+    return false;
+  }
+  recordChange('reviews', 'delete', review, undefined, actor);
+  touchBusiness(review);
+  // Deleting a review deletes its flags, as the foreign key does in MySQL.
+  store.tables.review_flags
+    .filter(flag => flag.reviewid === id)
+    .forEach(flag => store.remove('review_flags', flag.id));
+  return true;
+};
+
+exports.flag = async function (id, userid, reason) {
+  const flagged = store.tables.review_flags.some(
+    flag => flag.reviewid === id && flag.userid === userid
+  );
+  if (flagged) {
+    return null;
+  }
+  return store.insert('review_flags', {
+    reviewid: id,
+    userid: userid,
+    reason: reason,
+    created_at: new Date()
+  });
+};
+
+function unresolvedFlags(review) {
+  return store.tables.review_flags
+    .filter(flag => flag.reviewid === review.id && flag.resolved_at === null);
+}
+
+function flaggedReviews() {
+  return store.visible('reviews')
+    .filter(review => unresolvedFlags(review).length > 0);
+}
+
+exports.countFlagged = async function () {
+  return flaggedReviews().length;
+};
+
+exports.listFlagged = async function (offset, limit) {
+  const reviews = store.page(flaggedReviews(), { field: 'id' }, offset, limit);
+  return reviews.map(review => ({
+    ...review,
+    flags: unresolvedFlags(review).map(flag => ({
+      id: flag.id,
+      userid: flag.userid,
+      reason: flag.reason,
+      createdAt: flag.created_at
+    }))
+  }));
+};
+
+exports.moderate = async function (id, hidden, actor) {
+  unresolvedFlags({ id: id }).forEach((flag) => {
+    store.update('review_flags', flag.id, { resolved_at: new Date() });
+  });
+  const updated = changeRecord('reviews', id, 'update', actor, () =>
+    store.update('reviews', id, { hidden: hidden }));
+  if (updated) {
+    touchBusiness(store.find('reviews', id));
+  }
+  return updated;
+};
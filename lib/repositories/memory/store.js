@@ -0,0 +1,257 @@
+/*
+ * The tables backing the in-memory repositories.  Rows are stored as plain
+ * objects with the same columns as the corresponding MySQL tables, and
+ * optional columns default to null just as they do in MySQL, unless they
+ * have a default below.
+ */
+
+const columns = {
+  users: [ 'id', 'name', 'email', 'password', 'moderator' ],
+  businesses: [
+    'id', 'ownerid', 'name', 'address', 'city', 'state', 'zip', 'phone',
+    'category', 'subcategory', 'website', 'email', 'hours', 'latitude',
+    'longitude', 'deleted_at', 'version'
+  ],
+  reviews: [
+    'id', 'userid', 'businessid', 'dollars', 'stars', 'review', 'response',
+    'hidden', 'version'
+  ],
+  review_flags: [
+    'id', 'reviewid', 'userid', 'reason', 'created_at', 'resolved_at'
+  ],
+  photos: [
+    'id', 'userid', 'businessid', 'caption', 'filename', 'mimetype', 'width',
+    'height', 'size', 'thumbs', 'version'
+  ],
+  webhooks: [ 'id', 'businessid', 'url', 'secret', 'events', 'created_at' ],
+  webhook_deliveries: [
+    'id', 'webhookid', 'event', 'payload', 'status', 'attempts', 'run_at',
+    'response_status', 'last_error', 'created_at'
+  ],
+  audit_log: [
+    'id', 'table_name', 'record_id', 'action', 'actor', 'version', 'changes',
+    'created_at'
+  ]
+};
+
+const defaults = {
+  users: { moderator: false },
+  businesses: { version: 1 },
+  reviews: { hidden: false, version: 1 },
+  photos: { version: 1 },
+  webhook_deliveries: { status: 'pending', attempts: 0 }
+};
+
+/*
+ * The foreign keys of each table, mapping each column to the table whose
+ * ids it must hold, as in the MySQL schema.
+ */
+const foreignKeys = {
+  reviews: { businessid: 'businesses' },
+  review_flags: { reviewid: 'reviews' },
+  photos: { businessid: 'businesses' },
+  webhooks: { businessid: 'businesses' },
+  webhook_deliveries: { webhookid: 'webhooks' }
+};
+
+const tables = {};
+const nextIds = {};
+
+/*
+ * Empties every table and resets their ids.
+ */
+function reset() {
+  Object.keys(columns).forEach((table) => {
+    tables[table] = [];
+    nextIds[table] = 1;
+  });
+}
+
+reset();
+
+/*
+ * Returns a copy of a row, so callers can't modify the stored row.
+ */
+function copy(row) {
+  return row && JSON.parse(JSON.stringify(row));
+}
+
+/*
+ * Throws if any of the given values of a row's foreign keys doesn't match
+ * a row of the table it references, with the error MySQL gives.
+ */
+function checkForeignKeys(table, values) {
+  Object.entries(foreignKeys[table] || {}).forEach(([ column, referenced ]) => {
+    if (values[column] !== undefined && !find(referenced, values[column])) {
+      const err = new Error(
+        `Cannot add or update a child row: ${table}.${column} ` +
+        `references a row of ${referenced} that does not exist`
+      );
+      err.code = 'ER_NO_REFERENCED_ROW_2';
+      throw err;
+    }
+  });
+}
+
+/*
+ * Inserts a row into a table, assigning it the next id unless it already
+ * has one.  Returns the row's id.  Throws if it violates a foreign key.
+ */
+function insert(table, values) {
+  checkForeignKeys(table, values);
+  const row = {};
+  const tableDefaults = defaults[table] || {};
+  columns[table].forEach((column) => {
+    if (values[column] !== undefined) {
+      row[column] = values[column];
+    } else if (tableDefaults[column] !== undefined) {
+      row[column] = tableDefaults[column];
+    } else {
+      row[column] = null;
+    }
+  });
+  if (row.id === null) {
+    row.id = nextIds[table];
+  }
+  nextIds[table] = Math.max(nextIds[table], row.id + 1);
+  tables[table].push(copy(row));
+  return row.id;
+}
+
+function find(table, id) {
+  return tables[table].find(row => row.id === id);
+}
+
+/*
+ * Returns whether a row hasn't been deleted.  Soft-deleted businesses are
+ * hidden along with their reviews and photos, as in the MySQL repositories.
+ */
+function isVisible(table, row) {
+  if (table === 'businesses') {
+    return row.deleted_at === null;
+  }
+  if (table === 'reviews' || table === 'photos') {
+    const business = find('businesses', row.businessid);
+    return !!business && business.deleted_at === null;
+  }
+  return true;
+}
+
+/*
+ * Returns the rows of a table that haven't been deleted.
+ */
+function visible(table) {
+  return tables[table].filter(row => isVisible(table, row));
+}
+
+/*
+ * Finds the row with the given id, unless it has been deleted.
+ */
+function findVisible(table, id) {
+  const row = find(table, id);
+  return row && isVisible(table, row) ? row : undefined;
+}
+
+/*
+ * Returns whether a row has the version a caller expects, which is always
+ * true if they don't give one.
+ */
+function hasVersion(row, version) {
+  return version === undefined || row.version === version;
+}
+
+/*
+ * Sets the given values on the row with the given id, incrementing its
+ * version if the table has one.  Returns false if there is no such row, or
+ * it doesn't have the expected version.  Throws if the values violate a
+ * foreign key.
+ */
+function update(table, id, values, version) {
+  checkForeignKeys(table, values);
+  const row = find(table, id);
+  if (!row || !hasVersion(row, version)) {
+    return false;
+  }
+  Object.keys(values).forEach((column) => {
+    if (columns[table].includes(column)) {
+      row[column] = copy(values[column]);
+    }
+  });
+  if (columns[table].includes('version')) {
+    row.version += 1;
+  }
+  return true;
+}
+
+/*
+ * Increments the version of the row with the given id without changing it
+ * otherwise.
+ */
+function touch(table, id) {
+  return update(table, id, {});
+}
+
+/*
+ * Removes the row with the given id.  Returns false if there is no such
+ * row, or it doesn't have the expected version.
+ */
+function remove(table, id, version) {
+  const index = tables[table].findIndex(row => row.id === id);
+  if (index < 0 || !hasVersion(tables[table][index], version)) {
+    return false;
+  }
+  tables[table].splice(index, 1);
+  return true;
+}
+
+/*
+ * Compares two rows by a field, ordering nulls first as MySQL does.  Ties
+ * are broken by id in the same direction.
+ */
+function compareBy(field, descending) {
+  const direction = descending ? -1 : 1;
+  return function (a, b) {
+    const valueA = typeof field === 'function' ? field(a) : a[field];
+    const valueB = typeof field === 'function' ? field(b) : b[field];
+    let result;
+    if (valueA === valueB) {
+      result = a.id - b.id;
+    } else if (valueA === null) {
+      result = -1;
+    } else if (valueB === null) {
+      result = 1;
+    } else if (typeof valueA === 'string') {
+      result = valueA.localeCompare(valueB, undefined, { sensitivity: 'base' }) ||
+        a.id - b.id;
+    } else {
+      result = valueA - valueB;
+    }
+    return result * direction;
+  };
+}
+
+/*
+ * Sorts rows by a field, then returns a copy of the requested page.
+ */
+function page(rows, sort, offset, limit) {
+  return rows
+    .slice()
+    .sort(compareBy(sort.field, sort.descending))
+    .slice(offset, offset + limit)
+    .map(copy);
+}
+
+module.exports = {
+  tables,
+  reset,
+  copy,
+  insert,
+  find,
+  visible,
+  findVisible,
+  update,
+  touch,
+  remove,
+  compareBy,
+  page
+};
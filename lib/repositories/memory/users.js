@@ -0,0 +1,36 @@
+const store = require('./store');
+
+exports.getByEmail = async function (email) {
+  return store.copy(store.tables.users.find(
+    user => user.email.toLowerCase() === email.toLowerCase()
+  ));
+};
+
+exports.getById = async function (id) {
+  return store.copy(store.find('users', id));
+};
+
+exports.getSummaryById = async function (id) {
+  const user = store.find('users', id);
+  if (!user) {
+    return undefined;
+  }
+  const countByUser = (table, column) => store.visible(table)
+    .filter(row => row[column] === id)
+    .length;
+
+  return {
+    id: user.id,
+    name: user.name,
+    businessCount: countByUser('businesses', 'ownerid'),
+    reviewCount: countByUser('reviews', 'userid'),
+    photoCount: countByUser('photos', 'userid')
+  };
+};
+
+exports.insert = async function (user) {
+  if (await exports.getByEmail(user.email)) {
+    return null;
+  }
+  return store.insert('users', user);
+};
@@ -0,0 +1,74 @@
+const store = require('./store');
+
+exports.getById = async function (id) {
+  return store.copy(store.find('webhooks', id));
+};
+
+exports.listByBusiness = async function (businessid) {
+  const webhooks = store.tables.webhooks
+    .filter(webhook => webhook.businessid === businessid);
+  return store.page(webhooks, { field: 'id' }, 0, webhooks.length);
+};
+
+exports.insert = async function (webhook) {
+  return store.insert('webhooks', { ...webhook, created_at: new Date() });
+};
+
+exports.delete = async function (id) {
+  // Deleting a webhook deletes its deliveries, as the foreign key does in
+  // MySQL.
+  store.tables.webhook_deliveries
+    .filter(delivery => delivery.webhookid === id)
+    .forEach(delivery => store.remove('webhook_deliveries', delivery.id));
+  return store.remove('webhooks', id);
+};
+
+exports.countDeliveries = async function (webhookid) {
+  return store.tables.webhook_deliveries
+    .filter(delivery => delivery.webhookid === webhookid)
+    .length;
+};
+
+exports.listDeliveries = async function (webhookid, offset, limit) {
+  const deliveries = store.tables.webhook_deliveries
+    .filter(delivery => delivery.webhookid === webhookid);
+  return store.page(deliveries, { field: 'id', descending: true }, offset, limit);
+};
+
+exports.reserveDelivery = async function (leaseMs) {
+  const delivery = store.tables.webhook_deliveries.find(
+    delivery => (delivery.status === 'pending' || delivery.status === 'sending') &&
+      new Date(delivery.run_at) <= new Date()
+  );
+  if (!delivery) {
+    return null;
+  }
+  store.update('webhook_deliveries', delivery.id, {
+    status: 'sending',
+    attempts: delivery.attempts + 1,
+    run_at: new Date(Date.now() + leaseMs)
+  });
+  const webhook = store.find('webhooks', delivery.webhookid);
+  return store.copy({ ...delivery, url: webhook.url, secret: webhook.secret });
+};
+
+exports.completeDelivery = async function (id, responseStatus) {
+  store.update('webhook_deliveries', id, {
+    status: 'delivered',
+    response_status: responseStatus,
+    last_error: null
+  });
+};
+
+exports.failDelivery = async function (id, responseStatus, error, retryDelayMs) {
+  store.update('webhook_deliveries', id, retryDelayMs === null ? {
+    status: 'failed',
+    response_status: responseStatus,
+    last_error: error
+  } : {
+    status: 'pending',
+    response_status: responseStatus,
+    last_error: error,
+    run_at: new Date(Date.now() + retryDelayMs)
+  });
+};
@@ -0,0 +1,32 @@
+const mysqlPool = require('../../mysqlPool');
+
+exports.countByRecord = async function (table, id) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT COUNT(*) AS count FROM audit_log
+    WHERE table_name = ? AND record_id = ?`,
+    [ table, id ]
+  );
+
+  return results[0].count;
+};
+
+exports.listByRecord = async function (table, id, offset, limit) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT * FROM audit_log WHERE table_name = ? AND record_id = ?
+    ORDER BY id DESC LIMIT ?,?`,
+    [ table, id, offset, limit ]
+  );
+
+  return results;
+};
+
+exports.listUpToVersion = async function (table, id, version) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT * FROM audit_log
+    WHERE table_name = ? AND record_id = ? AND version <= ?
+    ORDER BY id`,
+    [ table, id, version ]
+  );
+
+  return results;
+};
@@ -0,0 +1,346 @@
+const mysqlPool = require('../../mysqlPool');
+const { isOpenAt, getDaysAffecting } = require('../../hours');
+const { getLatitudeDelta } = require('../../geo');
+const { versionCondition } = require('./versions');
+const { streamQuery } = require('./streams');
+const { withTransaction } = require('./transactions');
+const { recordChange, insertRecord, changeRecord } = require('./changes');
+
+/*
+ * Columns each of the fields the list of businesses may be sorted by
+ * corresponds to.
+ */
+const sortColumns = {
+  id: 'businesses.id',
+  name: 'businesses.name',
+  rating: 'ratings.averageStars',
+  reviewCount: 'COALESCE(ratings.reviewCount, 0)',
+  distance: 'distance'
+};
+
+/*
+ * Computes the distance, in kilometers, from a point given by a longitude
+ * and latitude parameter to each business.
+ */
+const distanceColumn = `ST_Distance_Sphere(
+    POINT(businesses.longitude, businesses.latitude), POINT(?, ?)
+  ) / 1000`;
+
+/*
+ * Joins each business to aggregates computed over its reviews, leaving out
+ * reviews hidden by moderators.  The star histogram counts reviews by whole
+ * number of stars.
+ */
+const ratingsJoin = `LEFT JOIN (
+    SELECT businessid,
+      AVG(stars) AS averageStars,
+      AVG(dollars) AS averageDollars,
+      COUNT(*) AS reviewCount,
+      SUM(FLOOR(stars) = 0) AS stars0,
+      SUM(FLOOR(stars) = 1) AS stars1,
+      SUM(FLOOR(stars) = 2) AS stars2,
+      SUM(FLOOR(stars) = 3) AS stars3,
+      SUM(FLOOR(stars) = 4) AS stars4,
+      SUM(FLOOR(stars) >= 5) AS stars5
+    FROM reviews WHERE hidden = FALSE GROUP BY businessid
+  ) AS ratings ON ratings.businessid = businesses.id`;
+
+const ratingsColumns = `ratings.averageStars, ratings.averageDollars,
+  ratings.reviewCount, ratings.stars0, ratings.stars1, ratings.stars2,
+  ratings.stars3, ratings.stars4, ratings.stars5`;
+
+/*
+ * Converts a business row into a business.  Only businesses that haven't
+ * been deleted are returned, so deleted_at isn't included.
+ */
+function toBusiness(row) {
+  const { deleted_at, ...business } = row;
+  return business;
+}
+
+/*
+ * Converts a business row selected with ratingsColumns into a business with
+ * its rating aggregates.  Businesses with no reviews have null averages.
+ */
+function withRatings(row) {
+  const {
+    averageStars, averageDollars, reviewCount,
+    stars0, stars1, stars2, stars3, stars4, stars5,
+    ...business
+  } = toBusiness(row);
+  const histogram = [ stars0, stars1, stars2, stars3, stars4, stars5 ];
+
+  business.averageStars = averageStars === null ? null : Number(averageStars);
+  business.averageDollars = averageDollars === null ? null : Number(averageDollars);
+  business.reviewCount = Number(reviewCount) || 0;
+  business.starHistogram = {};
+  histogram.forEach((count, stars) => {
+    business.starHistogram[stars] = Number(count) || 0;
+  });
+  return business;
+}
+
+/*
+ * Builds the WHERE clause selecting the businesses matched by a filter.
+ * Deleted businesses never match.  Searches near a point first narrow the
+ * businesses to a band of latitude, which can use an index.
+ *
+ * Whether a business is open depends on its timezone and exceptions, so
+ * the `openAt` filter is applied by loading the hours of the businesses
+ * matching the rest of the filter and checking them, then selecting the
+ * open ones by id.  Only businesses with weekly hours or an exception on a
+ * day that could decide it are loaded, but the ids of all the open ones
+ * are listed in the query, so a filter matching many thousands of open
+ * businesses makes for a large query.
+ */
+async function buildWhere(filter) {
+  const conditions = [ 'businesses.deleted_at IS NULL' ];
+  const params = [];
+  [ 'city', 'state', 'zip', 'category', 'subcategory' ].forEach((field) => {
+    if (filter[field]) {
+      conditions.push(`businesses.${field} = ?`);
+      params.push(filter[field]);
+    }
+  });
+  if (filter.q) {
+    conditions.push('(businesses.name LIKE ? OR businesses.address LIKE ?)');
+    const pattern = `%${filter.q.replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+  if (filter.near) {
+    const { latitude, longitude, radius } = filter.near;
+    const delta = getLatitudeDelta(radius);
+    conditions.push(
+      'businesses.latitude BETWEEN ? AND ?',
+      `${distanceColumn} <= ?`
+    );
+    params.push(latitude - delta, latitude + delta, longitude, latitude, radius);
+  }
+
+  if (filter.openAt) {
+    const days = getDaysAffecting(filter.openAt);
+    const hoursConditions = days.map(() => (
+      `JSON_LENGTH(businesses.hours, ?) > 0 OR
+      JSON_SEARCH(businesses.hours, 'one', ?, NULL, '$.exceptions[*].date')
+        IS NOT NULL`
+    ));
+    const hoursParams = days.flatMap(({ date, day }) => [
+      `$.weekly.${day}`, date
+    ]);
+    const [ results ] = await mysqlPool.query(
+      `SELECT id, hours FROM businesses
+      WHERE ${conditions.join(' AND ')} AND hours IS NOT NULL
+      AND (${hoursConditions.join(' OR ')})`,
+      [ ...params, ...hoursParams ]
+    );
+    const openIds = results
+      .filter(business => isOpenAt(business.hours, filter.openAt))
+      .map(business => business.id);
+    conditions.push(openIds.length ? 'businesses.id IN (?)' : 'FALSE');
+    if (openIds.length) {
+      params.push(openIds);
+    }
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params: params
+  };
+}
+
+exports.getById = async function (id, { includeDeleted = false } = {}) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT * FROM businesses WHERE id = ?
+    ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+    [ id ],
+  );
+
+  return results[0] && toBusiness(results[0]);
+};
+
+exports.getDetailsById = async function (id) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT businesses.*, ${ratingsColumns} FROM businesses
+    ${ratingsJoin}
+    WHERE businesses.id = ? AND businesses.deleted_at IS NULL`,
+    [ id ],
+  );
+
+  return results[0] && withRatings(results[0]);
+};
+
+exports.count = async function (filter) {
+  const { where, params } = await buildWhere(filter);
+  const [ results ] = await mysqlPool.query(
+    `SELECT COUNT(*) AS count FROM businesses ${where}`,
+    params
+  );
+
+  return results[0].count;
+};
+
+/*
+ * Builds the query selecting the businesses matching a filter, with their
+ * rating aggregates, in the order given by a sort.
+ */
+async function buildListQuery(filter, sort) {
+  const { where, params } = await buildWhere(filter);
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const distance = filter.near ? `, ${distanceColumn} AS distance` : '';
+  const distanceParams = filter.near ?
+    [ filter.near.longitude, filter.near.latitude ] :
+    [];
+  return {
+    sql: `SELECT businesses.*, ${ratingsColumns}${distance} FROM businesses
+    ${ratingsJoin}
+    ${where}
+    ORDER BY ${sortColumns[sort.field]} ${direction}, businesses.id ${direction}`,
+    params: [ ...distanceParams, ...params ]
+  };
+}
+
+exports.list = async function (filter, sort, offset, limit) {
+  const { sql, params } = await buildListQuery(filter, sort);
+  const [ results ] = await mysqlPool.query(
+    `${sql} LIMIT ?,?`,
+    [ ...params, offset, limit ]
+  );
+
+  return results.map(withRatings);
+};
+
+exports.stream = async function* (filter, sort) {
+  const { sql, params } = await buildListQuery(filter, sort);
+  for await (const row of streamQuery(sql, params)) {
+    yield withRatings(row);
+  }
+};
+
+exports.countByUser = async function (userid) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT COUNT(*) AS count FROM businesses WHERE ownerid = ? AND deleted_at IS NULL",
+    [ userid ]
+  );
+
+  return results[0].count;
+};
+
+exports.listByUser = async function (userid, sort, offset, limit) {
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const [ results ] = await mysqlPool.query(
+    `SELECT * FROM businesses WHERE ownerid = ? AND deleted_at IS NULL
+    ORDER BY ${mysqlPool.escapeId(sort.field)} ${direction}, id ${direction}
+    LIMIT ?,?`,
+    [ userid, offset, limit ]
+  );
+
+  return results.map(toBusiness);
+};
+
+exports.insert = async function (business, actor) {
+  return withTransaction(function (connection) {
+    return insertRecord(connection, 'businesses', business, actor);
+  });
+};
+
+exports.insertMany = async function (businesses, actor) {
+  return withTransaction(async function (connection) {
+    const ids = [];
+    for (const business of businesses) {
+      ids.push(await insertRecord(connection, 'businesses', business, actor));
+    }
+    return ids;
+  });
+};
+
+exports.update = async function (id, fields, version, actor) {
+  const condition = versionCondition(version);
+  return changeRecord('businesses', id, 'update', actor, async function (connection) {
+    const [ result ] = await connection.query(
+      `UPDATE businesses SET ?, version = version + 1
+      WHERE id = ? ${condition.sql}`,
+      [ toColumns(fields), id, ...condition.params ]
+    );
+    return result.affectedRows > 0;
+  });
+
+  /*
+   * Hours are stored as JSON, and may be among the fields when a business
+   * is reverted to an earlier version.
+   */
+  function toColumns(fields) {
+    if (!fields.hours) {
+      return fields;
+    }
+    return { ...fields, hours: JSON.stringify(fields.hours) };
+  }
+};
+
+exports.delete = async function (id, version, actor) {
+  const condition = versionCondition(version);
+  return changeRecord('businesses', id, 'delete', actor, async function (connection) {
+    const [ result ] = await connection.query(
+      `UPDATE businesses
+      SET deleted_at = CURRENT_TIMESTAMP, version = version + 1
+      WHERE id = ? AND deleted_at IS NULL ${condition.sql}`,
+      [ id, ...condition.params ]
+    );
+    return result.affectedRows > 0;
+  });
+};
+
+exports.setHours = async function (id, hours, version, actor) {
+  const condition = versionCondition(version);
+  return changeRecord('businesses', id, 'update', actor, async function (connection) {
+    const [ result ] = await connection.query(
+      `UPDATE businesses SET hours = ?, version = version + 1
+      WHERE id = ? ${condition.sql}`,
+      [ JSON.stringify(hours), id, ...condition.params ]
+    );
+    return result.affectedRows > 0;
+  });
+};
+
+exports.restore = async function (id, actor) {
+  return changeRecord('businesses', id, 'restore', actor, async function (connection) {
+    const [ result ] = await connection.query(
+      `UPDATE businesses SET deleted_at = NULL, version = version + 1
+      WHERE id = ? AND deleted_at IS NOT NULL`,
+      [ id ]
+    );
+    return result.affectedRows > 0;
+  });
+};
+
+/*
+ * Purging a business also deletes its reviews and photos, each of which is
+ * recorded in the audit log too.
+ */
+exports.purge = async function (id, version, actor) {
+  const condition = versionCondition(version);
+  return withTransaction(async function (connection) {
+    const [ businesses ] = await connection.query(
+      `SELECT * FROM businesses WHERE id = ? ${condition.sql} FOR UPDATE`,
+      [ id, ...condition.params ]
+    );
+    if (businesses.length === 0) {
+      return false;
+    }
+    for (const table of [ 'reviews', 'photos' ]) {
+      const [ records ] = await connection.query(
+        `SELECT * FROM ${table} WHERE businessid = ? FOR UPDATE`,
+        [ id ]
+      );
+      for (const record of records) {
+        await recordChange(connection, table, 'delete', record, undefined, actor);
+      }
+      await connection.query(`DELETE FROM ${table} WHERE businessid = ?`, [ id ]);
+    }
+    const [ result ] = await connection.query(
+      "DELETE FROM businesses WHERE id = ?",
+      [ id ]
+    );
+    await recordChange(connection, 'businesses', 'purge', businesses[0], undefined, actor);
+    return result.affectedRows > 0;
+  });
+};
@@ -0,0 +1,75 @@
+/*
+ * Helpers for recording changes to businesses, reviews and photos in the
+ * audit log (see lib/audit.js).
+ */
+
+const { diffRecords } = require('../../audit');
+const { withTransaction } = require('./transactions');
+
+/*
+ * Reads a record in the middle of a transaction, locking it until the
+ * transaction ends.
+ */
+async function getForUpdate(connection, table, id) {
+  const [ results ] = await connection.query(
+    `SELECT * FROM ${table} WHERE id = ? FOR UPDATE`,
+    [ id ]
+  );
+  return results[0];
+}
+
+/*
+ * Records a change to a record in the audit log, given the record before
+ * and after the change, either of which may be undefined.  `connection`
+ * should be in the middle of the transaction making the change, so it's
+ * only recorded if the change is.
+ */
+async function recordChange(connection, table, action, before, after, actor) {
+  const record = after || before;
+  await connection.query("INSERT INTO audit_log SET ?", {
+    table_name: table,
+    record_id: record.id,
+    action: action,
+    actor: actor === undefined ? null : actor,
+    version: record.version,
+    changes: JSON.stringify(diffRecords(before, after))
+  });
+}
+
+/*
+ * Inserts a record and records its creation in the audit log.  `connection`
+ * should be in the middle of a transaction.  Resolves to the record's id.
+ */
+async function insertRecord(connection, table, fields, actor) {
+  const [ result ] = await connection.query(
+    `INSERT INTO ${table} SET ?`, fields
+  );
+  const after = await getForUpdate(connection, table, result.insertId);
+  await recordChange(connection, table, 'create', undefined, after, actor);
+  return result.insertId;
+}
+
+/*
+ * Makes a change to a single record in a transaction, recording it in the
+ * audit log.  `change` is called with the transaction's connection, and
+ * should resolve to whether it changed the record; nothing is recorded if
+ * it didn't.  Resolves to whatever `change` resolves to.
+ */
+async function changeRecord(table, id, action, actor, change) {
+  return withTransaction(async function (connection) {
+    const before = await getForUpdate(connection, table, id);
+    const changed = await change(connection);
+    if (changed) {
+      const after = await getForUpdate(connection, table, id);
+      await recordChange(connection, table, action, before, after, actor);
+    }
+    return changed;
+  });
+}
+
+module.exports = {
+  getForUpdate,
+  recordChange,
+  insertRecord,
+  changeRecord
+};
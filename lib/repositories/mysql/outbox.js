@@ -0,0 +1,32 @@
+/*
+ * Helpers for recording events about reviews and photos in the
+ * webhook_deliveries outbox, from which the worker sends them to webhooks
+ * (see lib/webhooks.js).
+ */
+
+const { getEventData } = require('../../webhooks');
+
+/*
+ * Records an event about a review or photo as a pending delivery to each of
+ * its business's webhooks subscribed to the event.  `connection` should be
+ * in the middle of the transaction making the change the event is about, so
+ * the deliveries are only recorded if the change is.
+ */
+exports.recordEvent = async function (connection, event, table, id) {
+  const [ results ] = await connection.query(
+    `SELECT * FROM ${table} WHERE id = ?`,
+    [ id ]
+  );
+  const record = results[0];
+  await connection.query(
+    `INSERT INTO webhook_deliveries (webhookid, event, payload)
+    SELECT id, ?, ? FROM webhooks
+    WHERE businessid = ? AND JSON_CONTAINS(events, JSON_QUOTE(?))`,
+    [
+      event,
+      JSON.stringify(getEventData(event, record)),
+      record.businessid,
+      event
+    ]
+  );
+};
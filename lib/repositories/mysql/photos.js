@@ -0,0 +1,109 @@
+const mysqlPool = require('../../mysqlPool');
+const {
+  versionCondition, touchBusinessOf, touchBusiness
+} = require('./versions');
+const { recordEvent } = require('./outbox');
+const { withTransaction } = require('./transactions');
+const {
+  getForUpdate, recordChange, insertRecord, changeRecord
+} = require('./changes');
+
+/*
+ * The photos that are visible, i.e. whose business hasn't been deleted.
+ */
+const visiblePhotos = `photos JOIN businesses
+  ON businesses.id = photos.businessid AND businesses.deleted_at IS NULL`;
+
+exports.getById = async function (id, { includeDeleted = false } = {}) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT photos.* FROM ${includeDeleted ? 'photos' : visiblePhotos}
+    WHERE photos.id = ?`,
+    [ id ],
+  );
+
+  return results[0];
+};
+
+exports.listByBusiness = async function (businessid) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT photos.* FROM ${visiblePhotos}
+    WHERE photos.businessid = ? ORDER BY photos.id`,
+    [ businessid ],
+  );
+
+  return results;
+};
+
+exports.countByUser = async function (userid) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT COUNT(*) AS count FROM ${visiblePhotos} WHERE photos.userid = ?`,
+    [ userid ]
+  );
+
+  return results[0].count;
+};
+
+exports.listByUser = async function (userid, sort, offset, limit) {
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  const [ results ] = await mysqlPool.query(
+    `SELECT photos.* FROM ${visiblePhotos} WHERE photos.userid = ?
+    ORDER BY ${mysqlPool.escapeId(`photos.${sort.field}`)} ${direction},
+      photos.id ${direction}
+    LIMIT ?,?`,
+    [ userid, offset, limit ]
+  );
+
+  return results;
+};
+
+exports.insert = async function (photo, actor) {
+  return withTransaction(async function (connection) {
+    const id = await insertRecord(connection, 'photos', photo, actor);
+    await touchBusinessOf(connection, 'photos', id);
+    await recordEvent(connection, 'photo.created', 'photos', id);
+    return id;
+  });
+};
+
+exports.update = async function (id, fields, version, actor) {
+  const condition = versionCondition(version);
+  return changeRecord('photos', id, 'update', actor, async function (connection) {
+    const photo = await getForUpdate(connection, 'photos', id);
+    const [ result ] = await connection.query(
+      `UPDATE photos SET ?, version = version + 1
+      WHERE id = ? ${condition.sql}`,
+      [ fields, id, ...condition.params ]
+    );
+    if (result.affectedRows > 0) {
+      await touchBusinessOf(connection, 'photos', id);
+      // A photo moved to another business is no longer part of the old
+      // business's details either.
+      if (fields.businessid !== undefined &&
+          fields.businessid !== photo.businessid) {
+        await touchBusiness(connection, photo.businessid);
+      }
+    }
+    return result.affectedRows > 0;
+  });
+};
+
+exports.setThumbs = async function (id, thumbs) {
+  await mysqlPool.query(
+    "UPDATE photos SET thumbs = ?, version = version + 1 WHERE id = ?",
+    [ JSON.stringify(thumbs), id ]
+  );
+  await touchBusinessOf(mysqlPool, 'photos', id);
+};
+
+exports.delete = async function (id, version, actor) {
+  return withTransaction(async function (connection) {
+    const photo = await getForUpdate(connection, 'photos', id);
+    if (!photo || (version !== undefined && photo.version !== version)) {
+      return false;
+    }
+    await touchBusinessOf(connection, 'photos', id);
+    await connection.query("DELETE FROM photos WHERE id = ?", [ id ]);
+    await recordChange(connection, 'photos', 'delete', photo, undefined, actor);
+    return true;
+  });
+};
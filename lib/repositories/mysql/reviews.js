@@ -0,0 +1,190 @@
+const mysqlPool = require('../../mysqlPool');
+const { versionCondition, touchBusinessOf } = require('./versions');
+const { streamQuery } = require('./streams');
+const { recordEvent } = require('./outbox');
+const { withTransaction } = require('./transactions');
+const {
+  getForUpdate, recordChange, insertRecord, changeRecord
+} = require('./changes');
+
+/*
+ * The reviews that are visible, i.e. whose business hasn't been deleted.
+ */
+const visibleReviews = `reviews JOIN businesses
+  ON businesses.id = reviews.businessid AND businesses.deleted_at IS NULL`;
+
+exports.getById = async function (id) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT reviews.* FROM ${visibleReviews} WHERE reviews.id = ?`,
+    [ id ],
+  );
+
+  return results[0];
+};
+
+exports.listByBusiness = async function (businessid) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT reviews.* FROM ${visibleReviews}
+    WHERE reviews.businessid = ? AND reviews.hidden = FALSE
+    ORDER BY reviews.id`,
+    [ businessid ],
+  );
+
+  return results;
+};
+
+exports.countByUser = async function (userid) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT COUNT(*) AS count FROM ${visibleReviews} WHERE reviews.userid = ?`,
+    [ userid ]
+  );
+
+  return results[0].count;
+};
+
+/*
+ * Builds the query selecting a user's reviews in the order given by a sort.
+ */
+function buildUserQuery(userid, sort) {
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  return {
+    sql: `SELECT reviews.* FROM ${visibleReviews} WHERE reviews.userid = ?
+    ORDER BY ${mysqlPool.escapeId(`reviews.${sort.field}`)} ${direction},
+      reviews.id ${direction}`,
+    params: [ userid ]
+  };
+}
+
+exports.listByUser = async function (userid, sort, offset, limit) {
+  const { sql, params } = buildUserQuery(userid, sort);
+  const [ results ] = await mysqlPool.query(
+    `${sql} LIMIT ?,?`,
+    [ ...params, offset, limit ]
+  );
+
+  return results;
+};
+
+exports.streamByUser = async function* (userid, sort) {
+  const { sql, params } = buildUserQuery(userid, sort);
+  yield* streamQuery(sql, params);
+};
+
+exports.existsForUserAndBusiness = async function (userid, businessid) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT COUNT(*) AS count FROM reviews WHERE userid = ? AND businessid = ?",
+    [ userid, businessid ],
+  );
+
+  return results[0].count > 0;
+};
+
+exports.insert = async function (review, actor) {
+  return withTransaction(async function (connection) {
+    const id = await insertRecord(connection, 'reviews', review, actor);
+    await touchBusinessOf(connection, 'reviews', id);
+    await recordEvent(connection, 'review.created', 'reviews', id);
+    return id;
+  });
+};
+
+exports.update = async function (id, fields, version, actor) {
+  const condition = versionCondition(version);
+  return changeRecord('reviews', id, 'update', actor, async function (connection) {
+    const [ result ] = await connection.query(
+      `UPDATE reviews SET ?, version = version + 1
+      WHERE id = ? ${condition.sql}`,
+      [ fields, id, ...condition.params ]
+    );
+    if (result.affectedRows > 0) {
+      await touchBusinessOf(connection, 'reviews', id);
+      await recordEvent(connection, 'review.updated', 'reviews', id);
+    }
+    return result.affectedRows > 0;
+  });
+};
+
+exports.delete = async function (id, version, actor) {
+  return withTransaction(async function (connection) {
+    const review = await getForUpdate(connection, 'reviews', id);
+    if (!review || (version !== undefined && review.version !== version)) {
+      return false;
+    }
+    await touchBusinessOf(connection, 'reviews', id);
+    await connection.query("DELETE FROM reviews WHERE id = ?", [ id ]);
+    await recordChange(connection, 'reviews', 'delete', review, undefined, actor);
+    return true;
+  });
+};
+
+exports.flag = async function (id, userid, reason) {
+  try {
+    const [ result ] = await mysqlPool.query(
+      "INSERT INTO review_flags SET ?",
+      { reviewid: id, userid: userid, reason: reason }
+    );
+    return result.insertId;
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return null;
+    }
+    throw err;
+  }
+};
+
+/*
+ * Selects the reviews with unresolved flags.
+ */
+const flaggedWhere = `WHERE EXISTS (
+    SELECT 1 FROM review_flags
+    WHERE review_flags.reviewid = reviews.id AND review_flags.resolved_at IS NULL
+  )`;
+
+exports.countFlagged = async function () {
+  const [ results ] = await mysqlPool.query(
+    `SELECT COUNT(*) AS count FROM ${visibleReviews} ${flaggedWhere}`
+  );
+
+  return results[0].count;
+};
+
+exports.listFlagged = async function (offset, limit) {
+  const [ reviews ] = await mysqlPool.query(
+    `SELECT reviews.* FROM ${visibleReviews} ${flaggedWhere}
+    ORDER BY reviews.id LIMIT ?,?`,
+    [ offset, limit ]
+  );
+  if (reviews.length === 0) {
+    return reviews;
+  }
+
+  const [ flags ] = await mysqlPool.query(
+    `SELECT id, reviewid, userid, reason, created_at AS createdAt
+    FROM review_flags
+    WHERE reviewid IN (?) AND resolved_at IS NULL
+    ORDER BY id`,
+    [ reviews.map(review => review.id) ]
+  );
+  return reviews.map(review => ({
+    ...review,
+    flags: flags
+      .filter(flag => flag.reviewid === review.id)
+      .map(({ reviewid, ...flag }) => flag)
+  }));
+};
+
+exports.moderate = async function (id, hidden, actor) {
+  return changeRecord('reviews', id, 'update', actor, async function (connection) {
+    const [ result ] = await connection.query(
+      "UPDATE reviews SET hidden = ?, version = version + 1 WHERE id = ?",
+      [ hidden, id ]
+    );
+    await touchBusinessOf(connection, 'reviews', id);
+    await connection.query(
+      `UPDATE review_flags SET resolved_at = CURRENT_TIMESTAMP
+      WHERE reviewid = ? AND resolved_at IS NULL`,
+      [ id ]
+    );
+    return result.affectedRows > 0;
+  });
+};
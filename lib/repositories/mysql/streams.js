@@ -0,0 +1,33 @@
+/*
+ * Helpers for streaming the results of large queries a row at a time,
+ * rather than reading them all into memory at once.
+ */
+
+const mysqlPool = require('../../mysqlPool');
+const { observeQuery } = require('../../metrics');
+
+/*
+ * Runs a query on its own connection, yielding each row of its results as
+ * MySQL sends it.  If the caller stops before the last row, the rest of the
+ * results are still on their way, so the connection is closed rather than
+ * returned to the pool.
+ */
+exports.streamQuery = async function* (sql, params) {
+  const connection = await mysqlPool.getConnection();
+  const start = process.hrtime.bigint();
+  let finished = false;
+  try {
+    const rows = connection.connection.query(sql, params).stream();
+    for await (const row of rows) {
+      yield row;
+    }
+    finished = true;
+  } finally {
+    observeQuery(sql, Number(process.hrtime.bigint() - start) / 1e9);
+    if (finished) {
+      connection.release();
+    } else {
+      connection.destroy();
+    }
+  }
+};
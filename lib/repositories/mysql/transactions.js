@@ -0,0 +1,21 @@
+const mysqlPool = require('../../mysqlPool');
+
+/*
+ * Runs `fn` with a connection in the middle of a new transaction, which is
+ * committed if `fn` resolves and rolled back if it rejects.  Resolves to
+ * whatever `fn` resolves to.
+ */
+exports.withTransaction = async function (fn) {
+  const connection = await mysqlPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
@@ -0,0 +1,51 @@
+const mysqlPool = require('../../mysqlPool');
+
+exports.getByEmail = async function (email) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT * FROM users WHERE email = ?",
+    [ email ]
+  );
+
+  return results[0];
+};
+
+exports.getById = async function (id) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT * FROM users WHERE id = ?",
+    [ id ]
+  );
+
+  return results[0];
+};
+
+exports.getSummaryById = async function (id) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT id, name,
+      (SELECT COUNT(*) FROM businesses
+        WHERE ownerid = users.id AND deleted_at IS NULL) AS businessCount,
+      (SELECT COUNT(*) FROM reviews
+        JOIN businesses ON businesses.id = reviews.businessid
+        WHERE userid = users.id AND deleted_at IS NULL) AS reviewCount,
+      (SELECT COUNT(*) FROM photos
+        JOIN businesses ON businesses.id = photos.businessid
+        WHERE userid = users.id AND deleted_at IS NULL) AS photoCount
+    FROM users WHERE id = ?`,
+    [ id ]
+  );
+
+  return results[0];
+};
+
+exports.insert = async function (user) {
+  try {
+    const [ result ] = await mysqlPool.query(
+      "INSERT INTO users SET ?", user
+    );
+    return result.insertId;
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return null;
+    }
+    throw err;
+  }
+};
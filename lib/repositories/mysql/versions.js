@@ -0,0 +1,41 @@
+/*
+ * Helpers for the versions of businesses, reviews and photos, which are
+ * incremented by every statement that changes them.
+ */
+
+/*
+ * Builds a condition limiting a statement to the version of a record the
+ * caller expects, to be appended to its WHERE clause.  There's no condition
+ * if they don't expect any particular version.
+ */
+exports.versionCondition = function (version) {
+  return version === undefined ?
+    { sql: '', params: [] } :
+    { sql: 'AND version = ?', params: [ version ] };
+};
+
+/*
+ * Increments the version of the business a review or photo belongs to,
+ * since its details include its reviews and photos.  `connection` may be
+ * the pool, or a connection in the middle of a transaction.
+ */
+exports.touchBusinessOf = function (connection, table, id) {
+  return connection.query(
+    `UPDATE businesses JOIN ${table} ON businesses.id = ${table}.businessid
+    SET businesses.version = businesses.version + 1
+    WHERE ${table}.id = ?`,
+    [ id ]
+  );
+};
+
+/*
+ * Increments the version of a business without changing it otherwise.
+ * `connection` may be the pool, or a connection in the middle of a
+ * transaction.
+ */
+exports.touchBusiness = function (connection, id) {
+  return connection.query(
+    "UPDATE businesses SET version = version + 1 WHERE id = ?",
+    [ id ]
+  );
+};
@@ -0,0 +1,118 @@
+const mysqlPool = require('../../mysqlPool');
+
+exports.getById = async function (id) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT * FROM webhooks WHERE id = ?",
+    [ id ]
+  );
+
+  return results[0];
+};
+
+exports.listByBusiness = async function (businessid) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT * FROM webhooks WHERE businessid = ? ORDER BY id",
+    [ businessid ]
+  );
+
+  return results;
+};
+
+exports.insert = async function (webhook) {
+  const [ result ] = await mysqlPool.query(
+    "INSERT INTO webhooks SET ?",
+    { ...webhook, events: JSON.stringify(webhook.events) }
+  );
+
+  return result.insertId;
+};
+
+exports.delete = async function (id) {
+  const [ result ] = await mysqlPool.query(
+    "DELETE FROM webhooks WHERE id = ?",
+    [ id ]
+  );
+
+  return result.affectedRows > 0;
+};
+
+exports.countDeliveries = async function (webhookid) {
+  const [ results ] = await mysqlPool.query(
+    "SELECT COUNT(*) AS count FROM webhook_deliveries WHERE webhookid = ?",
+    [ webhookid ]
+  );
+
+  return results[0].count;
+};
+
+exports.listDeliveries = async function (webhookid, offset, limit) {
+  const [ results ] = await mysqlPool.query(
+    `SELECT * FROM webhook_deliveries WHERE webhookid = ?
+    ORDER BY id DESC LIMIT ?,?`,
+    [ webhookid, offset, limit ]
+  );
+
+  return results;
+};
+
+exports.reserveDelivery = async function (leaseMs) {
+  const connection = await mysqlPool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [ results ] = await connection.query(
+      `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+      FROM webhook_deliveries
+      JOIN webhooks ON webhooks.id = webhook_deliveries.webhookid
+      WHERE webhook_deliveries.status IN ('pending', 'sending')
+        AND webhook_deliveries.run_at <= CURRENT_TIMESTAMP(3)
+      ORDER BY webhook_deliveries.id LIMIT 1
+      FOR UPDATE OF webhook_deliveries SKIP LOCKED`
+    );
+    const delivery = results[0];
+    if (delivery) {
+      await connection.query(
+        `UPDATE webhook_deliveries
+        SET status = 'sending', attempts = attempts + 1,
+          run_at = CURRENT_TIMESTAMP(3) + INTERVAL ? MICROSECOND
+        WHERE id = ?`,
+        [ leaseMs * 1000, delivery.id ]
+      );
+      delivery.attempts += 1;
+    }
+    await connection.commit();
+    return delivery || null;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+exports.completeDelivery = async function (id, responseStatus) {
+  await mysqlPool.query(
+    `UPDATE webhook_deliveries
+    SET status = 'delivered', response_status = ?, last_error = NULL
+    WHERE id = ?`,
+    [ responseStatus, id ]
+  );
+};
+
+exports.failDelivery = async function (id, responseStatus, error, retryDelayMs) {
+  if (retryDelayMs === null) {
+    await mysqlPool.query(
+      `UPDATE webhook_deliveries
+      SET status = 'failed', response_status = ?, last_error = ?
+      WHERE id = ?`,
+      [ responseStatus, error, id ]
+    );
+  } else {
+    await mysqlPool.query(
+      `UPDATE webhook_deliveries
+      SET status = 'pending', response_status = ?, last_error = ?,
+        run_at = CURRENT_TIMESTAMP(3) + INTERVAL ? MICROSECOND
+      WHERE id = ?`,
+      [ responseStatus, error, retryDelayMs * 1000, id ]
+    );
+  }
+};
@@ -0,0 +1,81 @@
+/*
+ * Middleware giving each request an ID, then logging it and recording it in
+ * the metrics once it has been responded to.
+ */
+
+const crypto = require('crypto');
+
+const logger = require('./logger');
+const { observeRequest } = require('./metrics');
+
+/*
+ * Request IDs sent by clients or proxies are only trusted if they look like
+ * IDs, so they can't inject anything into the logs.
+ */
+const requestIdPattern = /^[\w.:-]{1,128}$/;
+
+/*
+ * Gives the request an ID, as req.id, and sends it back in the X-Request-Id
+ * header.  A valid X-Request-Id sent with the request is used as its ID, so
+ * requests can be followed through a proxy that assigns them IDs.
+ */
+exports.assignRequestId = function (req, res, next) {
+  const requestId = req.get('X-Request-Id');
+  req.id = requestIdPattern.test(requestId || '') ?
+    requestId :
+    crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+/*
+ * Returns middleware noting the path a router is mounted at, like
+ * /businesses/:businessid/webhooks, in res.locals.routerPath.  req.baseUrl
+ * holds the path with its parameters filled in, and only while the router
+ * is handling the request, so the path is given here instead.
+ */
+exports.noteRouterPath = function (path) {
+  const routerPath = path === '/' ? '' : path;
+  return function (req, res, next) {
+    res.locals.routerPath = routerPath;
+    next();
+  };
+};
+
+/*
+ * Finds the route that handled a request, from the path of the router it
+ * was dispatched to (see noteRouterPath()) and the route Express matched in
+ * it.  Routes for the root of a router, like /businesses/, are given
+ * without the trailing slash.
+ */
+function getRoute(req, res) {
+  if (!req.route || res.locals.routerPath === undefined) {
+    return 'unmatched';
+  }
+  return (res.locals.routerPath + req.route.path).replace(/(.)\/$/, '$1');
+}
+
+/*
+ * Logs each request, and records it in the metrics, once the response has
+ * been sent.  Requests are labeled with the route that handled them, like
+ * /businesses/:businessid, or "unmatched" if no route did.
+ */
+exports.logRequests = function (req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', function () {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = getRoute(req, res);
+    observeRequest(req.method, route, res.statusCode, seconds);
+    logger.info('request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      route: route,
+      status: res.statusCode,
+      latencyMs: Math.round(seconds * 1e6) / 1e3,
+      user: req.user || null
+    });
+  });
+  next();
+};
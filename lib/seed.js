@@ -0,0 +1,114 @@
+/*
+ * Loads the fixtures in data/ into the database.  Fixtures keep their ids,
+ * so the references between them stay intact, and seeding is idempotent:
+ * fixtures that are already present are left as they are, along with any
+ * changes made to them since.  Only a reset puts them back to their
+ * original values.  Fixture businesses are placed at the centroid of their
+ * zip code.
+ */
+
+const { getZipCentroid } = require('./geo');
+
+const fixtures = [
+  {
+    table: 'businesses',
+    rows: require('../data/businesses.json').map(business => ({
+      ...business,
+      ...getZipCentroid(business.zip)
+    }))
+  },
+  { table: 'reviews', rows: require('../data/reviews.json') },
+  { table: 'photos', rows: require('../data/photos.json') }
+];
+
+/*
+ * Tables that aren't seeded, but hold rows about businesses, reviews and
+ * photos, so they're emptied along with the seeded tables.  TRUNCATE
+ * resets ids, and doesn't cascade, so rows left in them would be about
+ * whichever new records are given their old ids.
+ */
+const dependentTables = [
+  'review_flags', 'webhooks', 'webhook_deliveries', 'audit_log'
+];
+
+/*
+ * Inserts every fixture that isn't already present, in an order that
+ * satisfies foreign keys.  If `reset` is set, the seeded tables, and the
+ * tables that depend on them, are emptied first, so every fixture is
+ * inserted.  Resolves to the number of rows inserted into each table.
+ */
+exports.seedDatabase = async function (mysqlPool, { reset = false } = {}) {
+  const connection = await mysqlPool.getConnection();
+  let sqlMode;
+  try {
+    const [ modeResults ] = await connection.query(
+      "SELECT @@SESSION.sql_mode AS sqlMode"
+    );
+    sqlMode = modeResults[0].sqlMode;
+
+    // Fixture ids start at 0, which MySQL would otherwise replace with the
+    // next AUTO_INCREMENT value.
+    await connection.query(
+      "SET SESSION sql_mode = CONCAT(@@sql_mode, ',NO_AUTO_VALUE_ON_ZERO')"
+    );
+
+    if (reset) {
+      await connection.query("SET FOREIGN_KEY_CHECKS = 0");
+      try {
+        const tables = fixtures.map(({ table }) => table)
+          .concat(dependentTables);
+        for (const table of tables) {
+          await connection.query(`TRUNCATE TABLE ${table}`);
+        }
+      } finally {
+        await connection.query("SET FOREIGN_KEY_CHECKS = 1");
+      }
+    }
+
+    const counts = {};
+    await connection.beginTransaction();
+    try {
+      for (const { table, rows } of fixtures) {
+        counts[table] = 0;
+        for (const row of rows) {
+          // Fixtures already present are skipped rather than overwritten,
+          // so changes made to them aren't lost.
+          const [ result ] = await connection.query(
+            `INSERT ${reset ? '' : 'IGNORE'} INTO ${table} SET ?`, row
+          );
+          counts[table] += result.affectedRows;
+        }
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    }
+    return counts;
+  } finally {
+    try {
+      if (sqlMode !== undefined) {
+        await connection.query("SET SESSION sql_mode = ?", [ sqlMode ]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+};
+
+/*
+ * Inserts every fixture into the in-memory store used by the "memory" data
+ * backend, after emptying it.  Returns the number of rows seeded into each
+ * table.
+ */
+exports.seedMemoryStore = function () {
+  const store = require('./repositories/memory/store');
+  store.reset();
+
+  const counts = {};
+  fixtures.forEach(({ table, rows }) => {
+    rows.forEach(row => store.insert(table, row));
+    counts[table] = rows.length;
+  });
+  return counts;
+};
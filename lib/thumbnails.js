@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { getImagePath } = require('./imageStorage');
+
+const repositories = require('./repositories');
+
+/*
+ * Sizes, in pixels along the longest edge, of the thumbnails generated for
+ * every photo.
+ */
+const thumbnailSizes = [ 100, 320, 640 ];
+
+exports.thumbnailSizes = thumbnailSizes;
+
+/*
+ * Generates thumbnails in every size for the specified photo and records
+ * them in the photo's `thumbs` field, which maps each size to the name of
+ * the stored thumbnail file.  Thumbnails are always JPEGs and are named
+ * after the image they were made from, so identical images share them.
+ */
+exports.generateThumbnails = async function (photoID) {
+  const photo = await repositories.photos.getById(
+    photoID, { includeDeleted: true }
+  );
+  if (!photo || !photo.filename) {
+    return;
+  }
+
+  const image = await fs.readFile(getImagePath(photo.filename));
+  const hash = path.parse(photo.filename).name;
+  const thumbs = {};
+  for (const size of thumbnailSizes) {
+    const filename = `thumbs/${hash}-${size}.jpg`;
+    await fs.mkdir(path.dirname(getImagePath(filename)), { recursive: true });
+    await sharp(image)
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .jpeg()
+      .toFile(getImagePath(filename));
+    thumbs[size] = filename;
+  }
+
+  await repositories.photos.setThumbs(photoID, thumbs);
+};
+
+/*
+ * Returns the URL the thumbnail of the given size for a photo is served
+ * from.
+ */
+exports.getThumbnailUrl = function (photo, size) {
+  return `/media/thumbs/${photo.id}-${size}.jpg`;
+};
@@ -1,19 +1,147 @@
+/*
+ * Schemas describe the fields an object may contain.  Each field maps to a
+ * set of rules:
+ *
+ *   required   - the field must be present
+ *   type       - 'string', 'integer', 'number' or 'boolean'
+ *   min, max   - inclusive bounds on a number
+ *   multipleOf - a step a number must be a multiple of
+ *   minLength, maxLength - bounds on the length of a string
+ *   format     - a named format a string must match (see formats below)
+ *
+ * Form fields always arrive as strings, so numeric strings are accepted
+ * for 'integer' and 'number' fields and converted by extractValidFields().
+ */
+
+/*
+ * Named string formats, each a function returning true if a string matches.
+ * The OpenAPI document uses the same formats (see lib/openapi.js).
+ */
+const formats = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  url: function (value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (err) {
+      return false;
+    }
+  },
+  zip: value => /^\d{5}(-\d{4})?$/.test(value),
+  phone: value => /^(\+?1[ .-]?)?(\(\d{3}\)|\d{3})[ .-]?\d{3}[ .-]?\d{4}$/.test(value)
+};
+
+/*
+ * Converts a value to a number if it's a number or numeric string, and
+ * returns NaN otherwise.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  return NaN;
+}
+
+/*
+ * Checks a single value against the rules for its field.  Returns a
+ * description of the first rule it breaks, or null if it's valid.
+ */
+function checkField(value, rules) {
+  switch (rules.type) {
+    case 'integer':
+    case 'number': {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) {
+        return 'must be a number';
+      }
+      if (rules.type === 'integer' && !Number.isInteger(number)) {
+        return 'must be an integer';
+      }
+      if (rules.min !== undefined && number < rules.min) {
+        return `must be at least ${rules.min}`;
+      }
+      if (rules.max !== undefined && number > rules.max) {
+        return `must be at most ${rules.max}`;
+      }
+      if (rules.multipleOf !== undefined &&
+          !Number.isInteger(number / rules.multipleOf)) {
+        return `must be a multiple of ${rules.multipleOf}`;
+      }
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return `must be at least ${rules.minLength} characters long`;
+      }
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return `must be at most ${rules.maxLength} characters long`;
+      }
+      if (rules.format && !formats[rules.format](value)) {
+        return `must be a valid ${rules.format}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
 module.exports = {
+  formats: formats,
+
   /*
-   * Performs data validation on an object by verifying that it contains
-   * all required fields specified in a given schema.
+   * Performs data validation on an object by checking each of its fields
+   * against the rules in a given schema.  Fields not in the schema aren't
+   * allowed, and optional fields may be null.  With the `partial` option,
+   * as for partial updates, required fields may be omitted, but not set to
+   * null, and at least one field must be present; optional fields set to
+   * null are cleared.
    *
-   * Returns true if the object is valid agianst the schema and false otherwise.
+   * Returns an array of errors, each with the failing `field` and the
+   * `reason` it failed.  The array is empty if the object is valid.
    */
-  validateAgainstSchema: function (obj, schema) {
-    return obj && Object.keys(schema).every(
-      field => !schema[field].required || obj[field] != undefined
-    );
+  validate: function (obj, schema, { partial = false } = {}) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return [ { field: null, reason: 'request body must be an object' } ];
+    }
+    if (partial && Object.keys(obj).every(field => obj[field] === undefined)) {
+      return [ { field: null, reason: 'request body must contain at least one field' } ];
+    }
+
+    const errors = [];
+    Object.keys(schema).forEach((field) => {
+      const rules = schema[field];
+      if (obj[field] == undefined) {
+        if (rules.required && (!partial || obj[field] === null)) {
+          errors.push({ field: field, reason: 'is required' });
+        }
+        return;
+      }
+      const reason = checkField(obj[field], rules);
+      if (reason) {
+        errors.push({ field: field, reason: reason });
+      }
+    });
+    Object.keys(obj).forEach((field) => {
+      if (!Object.hasOwn(schema, field)) {
+        errors.push({ field: field, reason: 'is not allowed' });
+      }
+    });
+    return errors;
   },
 
   /*
    * Extracts all fields from an object that are valid according to a specified
-   * schema.  Extracted fields can be either required or optional.
+   * schema.  Extracted fields can be either required or optional.  Numeric
+   * strings are converted to numbers for 'integer' and 'number' fields, and
+   * fields set to null are extracted as null, to clear them.
    *
    * Returns a new object containing all valid fields extracted from the
    * original object.
@@ -21,8 +149,16 @@ module.exports = {
   extractValidFields: function (obj, schema) {
     let validObj = {};
     Object.keys(schema).forEach((field) => {
-      if (obj[field] != undefined) {
-        validObj[field] = obj[field];
+      if (!Object.hasOwn(obj, field)) {
+        return;
+      }
+      if (obj[field] === null) {
+        validObj[field] = null;
+      } else if (obj[field] !== undefined) {
+        const type = schema[field].type;
+        validObj[field] = type === 'integer' || type === 'number' ?
+          toNumber(obj[field]) :
+          obj[field];
       }
     });
     return validObj;
@@ -0,0 +1,46 @@
+const logger = require('./logger');
+
+/*
+ * How long to wait between attempts to reach the database.  The delay
+ * doubles after each failed attempt, up to the maximum.
+ */
+const initialRetryIntervalMs = 250;
+const maxRetryIntervalMs = 5000;
+
+/*
+ * How long to keep trying before giving up, which can be changed with the
+ * DATABASE_WAIT_TIMEOUT_MS environment variable.
+ */
+const defaultTimeoutMs = parseInt(process.env.DATABASE_WAIT_TIMEOUT_MS) || 60000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/*
+ * Resolves once the database accepts queries, retrying with exponential
+ * backoff until it does.  The database container usually takes a little
+ * while longer to start than the API server.  Rejects if the database still
+ * can't be reached after `timeoutMs`.
+ */
+module.exports = async function waitForDatabase(mysqlPool, { timeoutMs = defaultTimeoutMs } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let retryIntervalMs = initialRetryIntervalMs;
+  while (true) {
+    try {
+      await mysqlPool.query('SELECT 1');
+      return;
+    } catch (err) {
+      const reason = err.code || err.message;
+      if (Date.now() + retryIntervalMs > deadline) {
+        throw new Error(`Database unreachable after ${timeoutMs}ms: ${reason}`);
+      }
+      logger.info('waiting for database', {
+        reason: reason,
+        retryInMs: retryIntervalMs
+      });
+      await sleep(retryIntervalMs);
+      retryIntervalMs = Math.min(retryIntervalMs * 2, maxRetryIntervalMs);
+    }
+  }
+};
@@ -0,0 +1,250 @@
+/*
+ * Webhooks let a business's owner be sent events about its reviews and
+ * photos as they happen.  An owner registers a URL along with the types of
+ * event it should be sent, and is given a secret to check deliveries with.
+ *
+ * Events are recorded by the repositories in the webhook_deliveries outbox
+ * in the same transaction as the change causing them, and sent by the
+ * worker.  Each delivery is POSTed as JSON:
+ *
+ *   {
+ *     "id": 12,
+ *     "event": "review.created",
+ *     "createdAt": "2026-10-19T17:02:11.000Z",
+ *     "data": { …the review, as GET /reviews/:reviewID sends it… }
+ *   }
+ *
+ * with headers giving its id, event and the time it was sent, and an
+ * X-Webhook-Signature of "sha256=" followed by the hex HMAC-SHA256, keyed
+ * with the webhook's secret, of the X-Webhook-Timestamp, a ".", and the
+ * body.  A delivery the receiver doesn't answer with a 2xx status is
+ * retried with exponential backoff until its attempts are used up.
+ *
+ * Webhooks are sent from inside the deployment's network, so they may not
+ * be sent to loopback, private, link-local or other special addresses,
+ * which could reach the database or other internal services.  The host of
+ * a webhook's URL is checked when it's registered, and again when the
+ * connection for each delivery is made, so a host can't be changed to
+ * resolve to an internal address afterwards.  Setting
+ * WEBHOOK_ALLOW_PRIVATE_HOSTS to "true" lifts the restriction, for testing
+ * against local receivers.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getPhotoUrl } = require('./imageStorage');
+
+/*
+ * The types of event webhooks may subscribe to.
+ */
+const eventTypes = [ 'review.created', 'review.updated', 'photo.created' ];
+
+const maxDeliveryAttempts = 8;
+const baseRetryDelayMs = 30 * 1000;
+
+/*
+ * Addresses webhooks may not be sent to, unless private hosts are allowed:
+ * the unspecified, loopback, private, shared, link-local, benchmarking,
+ * multicast and reserved ranges, along with IPv4 addresses mapped into
+ * IPv6.
+ */
+const privateAddresses = new net.BlockList();
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('198.18.0.0', 15, 'ipv4');
+privateAddresses.addSubnet('224.0.0.0', 4, 'ipv4');
+privateAddresses.addSubnet('240.0.0.0', 4, 'ipv4');
+privateAddresses.addAddress('::', 'ipv6');
+privateAddresses.addAddress('::1', 'ipv6');
+privateAddresses.addSubnet('::ffff:0:0', 96, 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+privateAddresses.addSubnet('ff00::', 8, 'ipv6');
+
+/*
+ * How long a receiver has to respond to a delivery before the attempt
+ * fails.
+ */
+const deliveryTimeoutMs = 10 * 1000;
+
+/*
+ * How long a worker has to send a delivery it reserves and record the
+ * outcome.  A delivery whose worker stops before then, leaving it sending,
+ * is reserved again once its lease runs out.
+ */
+const deliveryLeaseMs = 60 * 1000;
+
+/*
+ * Returns how long to wait before retrying a delivery after the given
+ * number of failed attempts, or null if it shouldn't be retried.
+ */
+function getRetryDelayMs(attempts) {
+  if (attempts >= maxDeliveryAttempts) {
+    return null;
+  }
+  return baseRetryDelayMs * Math.pow(2, attempts - 1);
+}
+
+/*
+ * Returns whether webhooks may be sent to private addresses.  It's read
+ * each time, so tests can check the restriction.
+ */
+function allowsPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/*
+ * Returns the hostname of a URL, without the brackets around an IPv6
+ * address.
+ */
+function getHostname(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/*
+ * Returns whether an IP address is one webhooks may not be sent to.
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 &&
+    privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/*
+ * Looks up the addresses of a host as dns.lookup() does, failing if any of
+ * them is private.  It's given to the HTTP client, so the addresses checked
+ * are the ones it connects to.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, function (err, address, family) {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [ { address: address } ];
+    if (!allowsPrivateHosts() &&
+        addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(
+        new Error(`${hostname} resolves to a private address`)
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+/*
+ * Resolves to whether a webhook may be sent to the host of a URL.  Hosts
+ * that can't be resolved are allowed, since they may resolve later; they're
+ * checked again when they're sent to.
+ */
+async function isAllowedUrl(url) {
+  if (allowsPrivateHosts()) {
+    return true;
+  }
+  const hostname = getHostname(new URL(url));
+  if (net.isIP(hostname)) {
+    return !isPrivateAddress(hostname);
+  }
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return !addresses.some(entry => isPrivateAddress(entry.address));
+  } catch (err) {
+    return true;
+  }
+}
+
+/*
+ * Generates the secret deliveries to a new webhook are signed with.
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/*
+ * Converts the record an event is about into the data sent with it, which
+ * is the record as the API sends it.  Photos are sent with the URL of their
+ * image rather than its stored filename; they never have thumbnails yet
+ * when they're created.
+ */
+function getEventData(event, record) {
+  if (event.startsWith('photo.')) {
+    const { filename, thumbs, ...photo } = record;
+    photo.url = getPhotoUrl(record);
+    return photo;
+  }
+  return record;
+}
+
+/*
+ * Computes the signature of a delivery's body sent at the given timestamp,
+ * in seconds since the epoch.  Receivers compute it the same way with their
+ * copy of the secret.
+ */
+function sign(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/*
+ * POSTs a delivery, reserved from the outbox along with its webhook's url
+ * and secret, to the webhook.  Resolves to the status of the receiver's
+ * response, or rejects if the receiver can't be reached, is at a private
+ * address, or doesn't respond in time.  Redirects aren't followed.
+ */
+async function sendDelivery(delivery) {
+  const url = new URL(delivery.url);
+  const hostname = getHostname(url);
+  // Connecting to an IP address doesn't look it up, so it's checked here.
+  if (!allowsPrivateHosts() && isPrivateAddress(hostname)) {
+    throw new Error(`${hostname} is a private address`);
+  }
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: delivery.created_at,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise(function (resolve, reject) {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+      },
+      lookup: lookupPublicAddress,
+      signal: AbortSignal.timeout(deliveryTimeoutMs)
+    }, function (res) {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  eventTypes,
+  deliveryLeaseMs,
+  getRetryDelayMs,
+  generateSecret,
+  isAllowedUrl,
+  getEventData,
+  sign,
+  sendDelivery
+};
@@ -0,0 +1,21 @@
+/*
+ * Creates the users table.  Like the other initial migrations, this skips
+ * creating the table if it already exists, so databases that were set up
+ * before migrations were introduced can adopt them.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS users (
+      id INT NOT NULL AUTO_INCREMENT,
+      name varchar(255) NOT NULL,
+      email varchar(255) NOT NULL,
+      password varchar(255) NOT NULL,
+      PRIMARY KEY (id),
+      UNIQUE INDEX idx_email (email)
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE users");
+};
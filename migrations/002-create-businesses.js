@@ -0,0 +1,27 @@
+/*
+ * Creates the businesses table.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS businesses (
+      id MEDIUMINT NOT NULL AUTO_INCREMENT,
+      ownerid INT NOT NULL,
+      name varchar(255) NOT NULL,
+      address varchar(255) NOT NULL,
+      city varchar(255) NOT NULL,
+      state varchar(255) NOT NULL,
+      zip varchar(255) NOT NULL,
+      phone varchar(255) NOT NULL,
+      category varchar(255) NOT NULL,
+      subcategory varchar(255) NOT NULL,
+      website varchar(255),
+      email varchar(255),
+      PRIMARY KEY (id),
+      INDEX idx_ownerid (ownerid)
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE businesses");
+};
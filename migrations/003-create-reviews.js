@@ -0,0 +1,23 @@
+/*
+ * Creates the reviews table, linked to the businesses being reviewed.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS reviews (
+      id MEDIUMINT NOT NULL AUTO_INCREMENT,
+      userid INT NOT NULL,
+      businessid MEDIUMINT NOT NULL,
+      dollars INT NOT NULL,
+      stars INT NOT NULL,
+      review varchar(255),
+      PRIMARY KEY (id),
+      INDEX idx_userid (userid),
+      CONSTRAINT fk_reviews_businessid
+        FOREIGN KEY (businessid) REFERENCES businesses(id)
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE reviews");
+};
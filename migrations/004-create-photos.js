@@ -0,0 +1,29 @@
+/*
+ * Creates the photos table, linked to the businesses pictured.  Along with
+ * its caption, each photo records the stored image file and its metadata,
+ * and the thumbnails generated from it.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS photos (
+      id MEDIUMINT NOT NULL AUTO_INCREMENT,
+      userid INT NOT NULL,
+      businessid MEDIUMINT NOT NULL,
+      caption varchar(255),
+      filename varchar(255),
+      mimetype varchar(255),
+      width INT,
+      height INT,
+      size INT,
+      thumbs JSON,
+      PRIMARY KEY (id),
+      INDEX idx_userid (userid),
+      CONSTRAINT fk_photos_businessid
+        FOREIGN KEY (businessid) REFERENCES businesses(id)
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE photos");
+};
@@ -0,0 +1,23 @@
+/*
+ * Creates the jobs table backing the MySQL job queue.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS jobs (
+      id INT NOT NULL AUTO_INCREMENT,
+      type varchar(255) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('pending', 'running', 'done', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL,
+      run_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      last_error TEXT,
+      PRIMARY KEY (id),
+      INDEX idx_status_run_at (status, run_at)
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE jobs");
+};
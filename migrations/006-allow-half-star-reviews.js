@@ -0,0 +1,15 @@
+/*
+ * Allows reviews to give half stars, e.g. 4.5, as some of the fixtures in
+ * data/reviews.json do.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    "ALTER TABLE reviews MODIFY stars DECIMAL(2,1) NOT NULL"
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query(
+    "ALTER TABLE reviews MODIFY stars INT NOT NULL"
+  );
+};
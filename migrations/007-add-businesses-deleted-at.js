@@ -0,0 +1,20 @@
+/*
+ * Lets businesses be soft-deleted.  A business is deleted once deleted_at
+ * is set, and is hidden, along with its reviews and photos, until it's
+ * restored by clearing deleted_at again.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `ALTER TABLE businesses
+      ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+      ADD INDEX idx_deleted_at (deleted_at)`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query(
+    `ALTER TABLE businesses
+      DROP INDEX idx_deleted_at,
+      DROP COLUMN deleted_at`
+  );
+};
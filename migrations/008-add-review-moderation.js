@@ -0,0 +1,41 @@
+/*
+ * Adds business owners' responses to reviews and the moderation of
+ * reviews.  Users can flag a review with a reason, and moderators then
+ * either approve it or hide it, resolving its flags.  Hidden reviews are
+ * left out of their business's details and ratings.
+ *
+ * Users are made moderators by setting users.moderator directly.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `ALTER TABLE reviews
+      ADD COLUMN response varchar(255),
+      ADD COLUMN hidden BOOLEAN NOT NULL DEFAULT FALSE`
+  );
+  await connection.query(
+    "ALTER TABLE users ADD COLUMN moderator BOOLEAN NOT NULL DEFAULT FALSE"
+  );
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS review_flags (
+      id INT NOT NULL AUTO_INCREMENT,
+      reviewid MEDIUMINT NOT NULL,
+      userid INT NOT NULL,
+      reason varchar(255) NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME NULL DEFAULT NULL,
+      PRIMARY KEY (id),
+      UNIQUE INDEX idx_reviewid_userid (reviewid, userid),
+      INDEX idx_resolved_at (resolved_at),
+      CONSTRAINT fk_review_flags_reviewid
+        FOREIGN KEY (reviewid) REFERENCES reviews(id) ON DELETE CASCADE
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE review_flags");
+  await connection.query("ALTER TABLE users DROP COLUMN moderator");
+  await connection.query(
+    "ALTER TABLE reviews DROP COLUMN hidden, DROP COLUMN response"
+  );
+};
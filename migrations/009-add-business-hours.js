@@ -0,0 +1,13 @@
+/*
+ * Adds businesses' opening hours, stored as JSON in the form described in
+ * lib/hours.js.  Businesses without hours are never considered open.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    "ALTER TABLE businesses ADD COLUMN hours JSON NULL DEFAULT NULL"
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("ALTER TABLE businesses DROP COLUMN hours");
+};
@@ -0,0 +1,36 @@
+const { getZipCentroid } = require('../lib/geo');
+
+/*
+ * Adds the latitude and longitude of businesses, and places existing
+ * businesses at the centroid of their zip code.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `ALTER TABLE businesses
+      ADD COLUMN latitude DECIMAL(9,6) NULL DEFAULT NULL,
+      ADD COLUMN longitude DECIMAL(9,6) NULL DEFAULT NULL,
+      ADD INDEX idx_latitude (latitude)`
+  );
+
+  const [ results ] = await connection.query(
+    "SELECT DISTINCT zip FROM businesses"
+  );
+  for (const { zip } of results) {
+    const centroid = getZipCentroid(zip);
+    if (centroid) {
+      await connection.query(
+        "UPDATE businesses SET latitude = ?, longitude = ? WHERE zip = ?",
+        [ centroid.latitude, centroid.longitude, zip ]
+      );
+    }
+  }
+};
+
+exports.down = async function (connection) {
+  await connection.query(
+    `ALTER TABLE businesses
+      DROP INDEX idx_latitude,
+      DROP COLUMN latitude,
+      DROP COLUMN longitude`
+  );
+};
@@ -0,0 +1,20 @@
+/*
+ * Adds a version to businesses, reviews and photos, which is incremented
+ * every time one changes.  Versions are used as ETags, so clients can make
+ * conditional requests.
+ */
+const tables = [ 'businesses', 'reviews', 'photos' ];
+
+exports.up = async function (connection) {
+  for (const table of tables) {
+    await connection.query(
+      `ALTER TABLE ${table} ADD COLUMN version INT NOT NULL DEFAULT 1`
+    );
+  }
+};
+
+exports.down = async function (connection) {
+  for (const table of tables) {
+    await connection.query(`ALTER TABLE ${table} DROP COLUMN version`);
+  }
+};
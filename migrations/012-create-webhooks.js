@@ -0,0 +1,49 @@
+/*
+ * Adds webhooks, which business owners register to be sent events about
+ * their business's reviews and photos.
+ *
+ * webhook_deliveries is the outbox the events are sent from: a delivery to
+ * each subscribed webhook is inserted in the same transaction as the change
+ * causing the event, and the worker sends them, retrying failed attempts.
+ * Delivered and failed deliveries are kept as the webhook's delivery log.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id INT NOT NULL AUTO_INCREMENT,
+      businessid MEDIUMINT NOT NULL,
+      url varchar(2048) NOT NULL,
+      secret varchar(255) NOT NULL,
+      events JSON NOT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      INDEX idx_businessid (businessid),
+      CONSTRAINT fk_webhooks_businessid
+        FOREIGN KEY (businessid) REFERENCES businesses(id) ON DELETE CASCADE
+    )`
+  );
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INT NOT NULL AUTO_INCREMENT,
+      webhookid INT NOT NULL,
+      event varchar(255) NOT NULL,
+      payload JSON NOT NULL,
+      status ENUM('pending', 'sending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      run_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      response_status INT NULL DEFAULT NULL,
+      last_error TEXT,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (id),
+      INDEX idx_status_run_at (status, run_at),
+      INDEX idx_webhookid (webhookid),
+      CONSTRAINT fk_webhook_deliveries_webhookid
+        FOREIGN KEY (webhookid) REFERENCES webhooks(id) ON DELETE CASCADE
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE webhook_deliveries");
+  await connection.query("DROP TABLE webhooks");
+};
@@ -0,0 +1,26 @@
+/*
+ * Adds the audit log, which records every change made to businesses,
+ * reviews and photos, along with who made it and the fields it changed
+ * (see lib/audit.js).  Entries outlive the records they're about, so they
+ * have no foreign keys.
+ */
+exports.up = async function (connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id INT NOT NULL AUTO_INCREMENT,
+      table_name varchar(64) NOT NULL,
+      record_id INT NOT NULL,
+      action ENUM('create', 'update', 'delete', 'restore', 'purge') NOT NULL,
+      actor INT NULL DEFAULT NULL,
+      version INT NOT NULL,
+      changes JSON NOT NULL,
+      created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+      PRIMARY KEY (id),
+      INDEX idx_table_name_record_id_version (table_name, record_id, version)
+    )`
+  );
+};
+
+exports.down = async function (connection) {
+  await connection.query("DROP TABLE audit_log");
+};
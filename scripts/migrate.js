@@ -0,0 +1,62 @@
+/*
+ * Command line interface for applying and rolling back schema migrations:
+ *
+ *   node scripts/migrate.js up            Apply all pending migrations
+ *   node scripts/migrate.js down [steps]  Roll back the latest migration(s)
+ *   node scripts/migrate.js status        List migrations and their status
+ */
+
+const mysqlPool = require('../lib/mysqlPool');
+const waitForDatabase = require('../lib/waitForDatabase');
+const {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus
+} = require('../lib/migrations');
+
+const commands = {
+  up: async function () {
+    const applied = await migrateUp(mysqlPool);
+    if (applied.length) {
+      applied.forEach(version => console.log("== Applied", version));
+    } else {
+      console.log("== No pending migrations");
+    }
+  },
+
+  down: async function (steps) {
+    const rolledBack = await migrateDown(mysqlPool, parseInt(steps) || 1);
+    if (rolledBack.length) {
+      rolledBack.forEach(version => console.log("== Rolled back", version));
+    } else {
+      console.log("== No migrations to roll back");
+    }
+  },
+
+  status: async function () {
+    const status = await getMigrationStatus(mysqlPool);
+    status.forEach((migration) => {
+      console.log(migration.applied ? "[applied]" : "[pending]", migration.version);
+    });
+  }
+};
+
+async function main() {
+  const [ commandName, ...args ] = process.argv.slice(2);
+  const command = commands[commandName];
+  if (!command) {
+    console.error("Usage: node scripts/migrate.js up|down [steps]|status");
+    process.exitCode = 1;
+    return;
+  }
+
+  await waitForDatabase(mysqlPool);
+  await command(...args);
+}
+
+main()
+  .catch((err) => {
+    console.error("== Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mysqlPool.end());
@@ -0,0 +1,29 @@
+/*
+ * Command line interface for loading the fixtures in data/ into the
+ * database:
+ *
+ *   node scripts/seed.js           Insert the fixtures that aren't present
+ *   node scripts/seed.js --reset   Empty the seeded tables, along with
+ *                                  those about their records, then insert
+ */
+
+const mysqlPool = require('../lib/mysqlPool');
+const waitForDatabase = require('../lib/waitForDatabase');
+const { seedDatabase } = require('../lib/seed');
+
+async function main() {
+  const reset = process.argv.slice(2).includes('--reset');
+
+  await waitForDatabase(mysqlPool);
+  const counts = await seedDatabase(mysqlPool, { reset: reset });
+  Object.keys(counts).forEach((table) => {
+    console.log(`== Seeded ${counts[table]} ${table}`);
+  });
+}
+
+main()
+  .catch((err) => {
+    console.error("== Seeding failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mysqlPool.end());
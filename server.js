@@ -1,21 +1,52 @@
 const express = require('express');
-const morgan = require('morgan');
 
 const api = require('./api');
 
 const mysqlPool = require('./lib/mysqlPool')
+const waitForDatabase = require('./lib/waitForDatabase');
+const { getPendingMigrations } = require('./lib/migrations');
+const { seedDatabase, seedMemoryStore } = require('./lib/seed');
+const { queue } = require('./lib/jobQueue');
+const repositories = require('./lib/repositories');
+const logger = require('./lib/logger');
+const { setShuttingDown } = require('./lib/health');
+const { NotFoundError, handleErrors } = require('./lib/errors');
+const { assignRequestId, logRequests } = require('./lib/requestLogger');
+const { validateRequests } = require('./lib/openapi');
 
 const app = express();
 const port = process.env.PORT || 8000;
 
 /*
- * Morgan is a popular logger.
+ * How long to wait for in-flight requests to finish when shutting down
+ * before exiting anyway.
  */
-app.use(morgan('dev'));
+const shutdownTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+/*
+ * Responses without an ETag of their own, like lists, get a strong ETag
+ * computed from their body, so clients can revalidate them (see
+ * lib/conditional.js).
+ */
+app.set('etag', 'strong');
+
+/*
+ * Every request gets an ID, which is sent back in the X-Request-Id header
+ * and included in everything logged about it, and is logged as a line of
+ * JSON once it has been responded to.
+ */
+app.use(assignRequestId);
+app.use(logRequests);
 
 app.use(express.json());
 app.use(express.static('public'));
 
+/*
+ * Requests are checked against the API's OpenAPI description before they
+ * reach the routes (see lib/openapi.js).
+ */
+app.use(validateRequests);
+
 /*
  * All routes for the API are written in modules in the api/ directory.  The
  * top-level router lives in api/index.js.  That's what we include here, and
@@ -23,23 +54,104 @@ app.use(express.static('public'));
  */
 app.use('/', api);
 
-app.use('*', function (req, res, next) {
-  res.status(404).json({
-    error: "Requested resource " + req.originalUrl + " does not exist"
-  });
+/*
+ * Any request no route handled is for something that doesn't exist.
+ */
+app.use(function (req, res, next) {
+  next(new NotFoundError(`Requested resource ${req.originalUrl} does not exist`));
 });
 
 /*
- * This route will catch any errors thrown from our API endpoints and return
- * a response with a 500 status to the client.
+ * Errors from every route, including the 404 above, are sent to clients as
+ * problem details (see lib/errors.js).
  */
-app.use('*', function (err, req, res, next) {
-  console.error("== Error:", err)
-  res.status(500).send({
-      err: "Server error.  Please try again later."
-  })
-})
+app.use(handleErrors);
 
-app.listen(port, function() {
-  console.log("== Server is running on port", port);
-});
+/*
+ * Only start accepting requests once the database is reachable and its
+ * schema is up to date.  Migrations are applied separately, with
+ * `npm run migrate`, so the server refuses to start if any are pending, or
+ * if the database can't be reached in time.  None of this applies when data
+ * is kept in memory.
+ */
+async function start() {
+  if (repositories.backend === 'mysql') {
+    await waitForDatabase(mysqlPool);
+    const pending = await getPendingMigrations(mysqlPool);
+    if (pending.length) {
+      throw new Error(
+        `Pending migrations: ${pending.join(', ')}; run \`npm run migrate\` before starting the server`
+      );
+    }
+  }
+
+  /*
+   * Setting SEED_ON_START loads the fixtures in data/ on every start, which
+   * is handy for giving a fresh Compose stack some data to work with.
+   * Fixtures already in the database are left as they are.
+   */
+  if (process.env.SEED_ON_START === 'true') {
+    const counts = repositories.backend === 'mysql' ?
+      await seedDatabase(mysqlPool) :
+      seedMemoryStore();
+    logger.info('seeded database', { counts: counts });
+  }
+
+  const server = app.listen(port, function() {
+    logger.info('server is running', { port: Number(port) });
+  });
+
+  /*
+   * An in-process job queue can't be reached by a separate worker process,
+   * so run the worker alongside the server instead.
+   */
+  const worker = queue.inProcess ? require('./worker') : null;
+  const workerFinished = worker ? worker.start() : Promise.resolve();
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  /*
+   * Shuts down gracefully: the server stops being ready and stops accepting
+   * connections, then waits for in-flight requests and any running job to
+   * finish before closing the database pool.  If that takes too long, it
+   * exits anyway.
+   */
+  async function shutdown(signal) {
+    logger.info('shutting down', { signal: signal });
+    setShuttingDown();
+    setTimeout(() => {
+      logger.error('timed out waiting for requests to finish', {
+        timeoutMs: shutdownTimeoutMs
+      });
+      process.exit(1);
+    }, shutdownTimeoutMs).unref();
+
+    try {
+      const serverClosed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections();
+      if (worker) {
+        worker.stop();
+      }
+      await Promise.all([ serverClosed, workerFinished ]);
+      await mysqlPool.end();
+      logger.info('shut down');
+    } catch (err) {
+      logger.error('error shutting down', { err: err });
+      process.exitCode = 1;
+    }
+  }
+}
+
+/*
+ * The app is exported so the tests can make requests to it in-process; it
+ * only starts listening when this file is run directly.
+ */
+module.exports = app;
+
+if (require.main === module) {
+  start().catch((err) => {
+    logger.error('failed to start server', { err: err });
+    process.exit(1);
+  });
+}
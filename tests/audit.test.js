@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffRecords, getStateAtVersion } = require('../lib/audit');
+
+describe('diffRecords()', function () {
+  it('lists only the fields that changed', function () {
+    const before = { id: 1, name: 'Cafe', zip: '97330', version: 1 };
+    const after = { id: 1, name: 'Cafe', zip: '97333', version: 2 };
+    assert.deepEqual(diffRecords(before, after), {
+      zip: { from: '97330', to: '97333' }
+    });
+  });
+
+  it('changes every field from or to null on creation and deletion', function () {
+    const record = { id: 1, name: 'Cafe', website: null, version: 1 };
+    assert.deepEqual(diffRecords(undefined, record), {
+      name: { from: null, to: 'Cafe' }
+    });
+    assert.deepEqual(diffRecords(record, undefined), {
+      name: { from: 'Cafe', to: null }
+    });
+  });
+
+  it('compares objects and dates by value', function () {
+    const before = { hours: { weekly: {} }, created_at: new Date(0) };
+    const after = { hours: { weekly: {} }, created_at: new Date(0).toISOString() };
+    assert.deepEqual(diffRecords(before, after), {});
+  });
+});
+
+describe('getStateAtVersion()', function () {
+  it('applies the changes up to the version in order', function () {
+    const entries = [
+      { action: 'create', version: 1, changes: { name: { from: null, to: 'Cafe' } } },
+      { action: 'update', version: 2, changes: { name: { from: 'Cafe', to: 'Diner' } } }
+    ];
+    assert.deepEqual(getStateAtVersion(entries), { name: 'Diner' });
+  });
+
+  it("returns null if the entries don't start with the creation", function () {
+    const entries = [
+      { action: 'update', version: 2, changes: { name: { from: 'Cafe', to: 'Diner' } } }
+    ];
+    assert.equal(getStateAtVersion(entries), null);
+    assert.equal(getStateAtVersion([]), null);
+  });
+});
@@ -0,0 +1,950 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse } = require('csv-parse/sync');
+
+const {
+  request, resetData, createUser, createBusiness, validBusiness, createImage,
+  makeModerator
+} = require('./helpers');
+
+const store = require('../lib/repositories/memory/store');
+const fixtures = require('../data/businesses.json');
+
+describe('/businesses', function () {
+  describe('GET /businesses', function () {
+    beforeEach(function () {
+      resetData();
+    });
+
+    it('lists the first page of businesses', async function () {
+      const res = await request.get('/businesses');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, fixtures.length);
+      assert.equal(res.body.page, 1);
+      assert.equal(res.body.pageSize, 10);
+      assert.equal(res.body.totalPages, Math.ceil(fixtures.length / 10));
+      assert.deepEqual(
+        res.body.businesses.map(b => b.id),
+        fixtures.slice(0, 10).map(b => b.id)
+      );
+      assert.ok('averageStars' in res.body.businesses[0]);
+    });
+
+    it('links to the other pages', async function () {
+      const first = await request.get('/businesses?category=Shopping');
+      assert.deepEqual(Object.keys(first.body.links), [ 'nextPage', 'lastPage' ]);
+      assert.equal(first.body.links.nextPage, '/businesses?category=Shopping&page=2');
+
+      const last = await request.get(first.body.links.lastPage);
+      assert.equal(last.body.page, last.body.totalPages);
+      assert.deepEqual(Object.keys(last.body.links), [ 'prevPage', 'firstPage' ]);
+    });
+
+    it('filters businesses', async function () {
+      const res = await request.get('/businesses?category=restaurant');
+      const expected = fixtures.filter(b => b.category === 'Restaurant');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, expected.length);
+      assert.ok(res.body.businesses.every(b => b.category === 'Restaurant'));
+    });
+
+    it('searches business names and addresses', async function () {
+      const res = await request.get('/businesses?q=block 15');
+      assert.equal(res.status, 200);
+      assert.ok(res.body.count > 0);
+      assert.ok(res.body.businesses.every(b => /block 15/i.test(b.name + b.address)));
+    });
+
+    it('sorts businesses', async function () {
+      const res = await request.get('/businesses?sort=-name');
+      const names = res.body.businesses.map(b => b.name);
+      const sorted = names.slice().sort(
+        (a, b) => b.localeCompare(a, undefined, { sensitivity: 'base' })
+      );
+      assert.equal(res.status, 200);
+      assert.deepEqual(names, sorted);
+    });
+
+    it('rejects an unsortable field', async function () {
+      const res = await request.get('/businesses?sort=ownerid');
+      assert.equal(res.status, 400);
+    });
+
+    it('selects fields', async function () {
+      const res = await request.get('/businesses?fields=name,reviewCount');
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        Object.keys(res.body.businesses[0]),
+        [ 'id', 'name', 'reviewCount' ]
+      );
+    });
+
+    it('rejects unknown fields', async function () {
+      const res = await request.get('/businesses?fields=name,password');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /businesses?near', function () {
+    // Downtown Corvallis
+    const corvallis = '44.5646,-123.2620';
+    let user, nearId, farId, zipId;
+
+    beforeEach(async function () {
+      resetData({ fixtures: false });
+      user = await createUser();
+      farId = await createBusiness(user, {
+        name: 'Far', latitude: 44.6365, longitude: -123.1059
+      });
+      nearId = await createBusiness(user, {
+        name: 'Near', latitude: 44.5650, longitude: -123.2600
+      });
+      zipId = await createBusiness(user, { name: 'Zip', zip: '97333' });
+    });
+
+    it('places businesses without coordinates at their zip code', async function () {
+      const res = await request.get(`/businesses/${zipId}`);
+      assert.equal(res.body.latitude, 44.4681);
+      assert.equal(res.body.longitude, -123.2938);
+    });
+
+    it('lists businesses within a radius, nearest first', async function () {
+      const res = await request.get(`/businesses?near=${corvallis}&radius=25`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.businesses.map(b => b.id), [ nearId, zipId, farId ]);
+      assert.equal(res.body.businesses[0].distance, 0.16);
+      assert.ok(res.body.businesses[2].distance > 14);
+    });
+
+    it('leaves out businesses outside the radius', async function () {
+      const res = await request.get(`/businesses?near=${corvallis}&radius=5`);
+      assert.equal(res.body.count, 1);
+      assert.deepEqual(res.body.businesses.map(b => b.id), [ nearId ]);
+    });
+
+    it('pages through the results', async function () {
+      for (let i = 0; i < 10; i++) {
+        await createBusiness(user, { latitude: 44.5, longitude: -123.2 });
+      }
+      const res = await request.get(`/businesses?near=${corvallis}&radius=25&page=2`);
+      assert.equal(res.body.count, 13);
+      assert.equal(res.body.businesses.length, 3);
+      assert.ok(res.body.businesses.every(
+        (b, i, list) => i === 0 || list[i - 1].distance <= b.distance
+      ));
+      assert.match(res.body.links.prevPage, /near=44\.5646%2C-123\.2620&radius=25&page=1/);
+    });
+
+    it('rejects an invalid point or radius', async function () {
+      for (const query of [ 'near=44.5', 'near=91,0', `near=${corvallis}&radius=-1` ]) {
+        const res = await request.get(`/businesses?${query}`);
+        assert.equal(res.status, 400);
+      }
+    });
+
+    it('rejects sorting by distance without a point', async function () {
+      const res = await request.get('/businesses?sort=distance');
+      assert.equal(res.status, 400);
+    });
+
+    it('requires latitude and longitude together', async function () {
+      const res = await request.post('/businesses')
+        .set('Authorization', user.auth)
+        .send({ ...validBusiness(), latitude: 44.5 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'longitude', reason: 'is required with latitude' }
+      ]);
+    });
+  });
+
+  describe('GET /businesses/:businessid', function () {
+    beforeEach(function () {
+      resetData();
+    });
+
+    it('fetches a business with its reviews, photos and ratings', async function () {
+      const res = await request.get('/businesses/8');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.name, fixtures[8].name);
+      assert.equal(res.body.reviewCount, 2);
+      assert.equal(res.body.reviews.length, 2);
+      assert.equal(res.body.photos.length, 2);
+      assert.equal(typeof res.body.averageStars, 'number');
+    });
+
+    it('embeds only the included collections', async function () {
+      const res = await request.get('/businesses/8?include=reviews&fields=name');
+      assert.equal(res.status, 200);
+      assert.deepEqual(Object.keys(res.body), [ 'id', 'name', 'reviews' ]);
+    });
+
+    it('rejects an unknown collection', async function () {
+      const res = await request.get('/businesses/8?include=owners');
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a business that does not exist', async function () {
+      const res = await request.get('/businesses/9999');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, 'not_found');
+      assert.equal(res.body.detail, 'Business 9999 does not exist');
+    });
+  });
+
+  describe('GET /businesses/export', function () {
+    beforeEach(function () {
+      resetData();
+    });
+
+    /*
+     * Parses a downloaded NDJSON export into its records.
+     */
+    function parseNdjson(text) {
+      return text.split('\n').filter(line => line).map(line => JSON.parse(line));
+    }
+
+    it('downloads every matching business as CSV', async function () {
+      const res = await request.get('/businesses/export?category=restaurant&fields=name,category');
+      const expected = fixtures.filter(b => b.category === 'Restaurant');
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^text\/csv/);
+      assert.equal(res.headers['content-disposition'], 'attachment; filename="businesses.csv"');
+
+      const records = parse(res.text, { columns: true });
+      assert.equal(records.length, expected.length);
+      assert.deepEqual(Object.keys(records[0]), [ 'id', 'name', 'category' ]);
+      assert.deepEqual(records.map(b => Number(b.id)), expected.map(b => b.id));
+      assert.ok(records.every(b => b.category === 'Restaurant'));
+    });
+
+    it('writes nested fields of a CSV export as JSON', async function () {
+      const res = await request.get('/businesses/export?fields=starHistogram');
+      const records = parse(res.text, { columns: true });
+      assert.deepEqual(
+        JSON.parse(records[0].starHistogram),
+        { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+      );
+    });
+
+    it('downloads businesses as NDJSON, sorted like the list', async function () {
+      const res = await request.get('/businesses/export?format=ndjson&sort=-name')
+        .buffer(true);
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^application\/x-ndjson/);
+
+      const records = parseNdjson(res.text);
+      assert.equal(records.length, fixtures.length);
+      const names = records.map(b => b.name);
+      const sorted = names.slice().sort(
+        (a, b) => b.localeCompare(a, undefined, { sensitivity: 'base' })
+      );
+      assert.deepEqual(names, sorted);
+      assert.ok('averageStars' in records[0]);
+    });
+
+    it('includes the distance from the near point', async function () {
+      const res = await request.get('/businesses/export?format=ndjson&near=44.5646,-123.2620&radius=15')
+        .buffer(true);
+      const records = parseNdjson(res.text);
+      assert.ok(records.length > 0);
+      assert.ok(records.every(b => b.distance <= 15));
+      assert.deepEqual(
+        records.map(b => b.distance),
+        records.map(b => b.distance).sort((a, b) => a - b)
+      );
+    });
+
+    it('rejects the same invalid filters as the list', async function () {
+      const res = await request.get('/businesses/export?sort=distance');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'invalid_sort');
+    });
+
+    it('rejects unknown formats', async function () {
+      const res = await request.get('/businesses/export?format=xlsx');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /businesses', function () {
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    it('creates a business owned by the authenticated user', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses')
+        .set('Authorization', user.auth)
+        .send(validBusiness());
+      assert.equal(res.status, 201);
+
+      const business = await request.get(`/businesses/${res.body.id}`);
+      assert.equal(business.body.ownerid, user.id);
+    });
+
+    it('requires authentication', async function () {
+      const res = await request.post('/businesses').send(validBusiness());
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects an invalid token', async function () {
+      const res = await request.post('/businesses')
+        .set('Authorization', 'Bearer not-a-token')
+        .send(validBusiness());
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects an invalid business', async function () {
+      const user = await createUser();
+      const { name, ...business } = validBusiness();
+      const res = await request.post('/businesses')
+        .set('Authorization', user.auth)
+        .send({ ...business, zip: 'abc', ownerid: 1 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'name', reason: 'is required' },
+        { field: 'zip', reason: 'must be a valid zip' },
+        { field: 'ownerid', reason: 'is not allowed' }
+      ]);
+    });
+  });
+
+  describe('POST /businesses/import', function () {
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    const csvHeader = 'name,address,city,state,zip,phone,category,subcategory,website';
+
+    /*
+     * Builds an NDJSON upload with a line for each record.
+     */
+    function toNdjson(records) {
+      return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+
+    it('creates a business for each valid CSV row', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses/import')
+        .set('Authorization', user.auth)
+        .set('Content-Type', 'text/csv')
+        .send([
+          csvHeader,
+          'Test Cafe,123 Main St.,Corvallis,OR,97330,541-555-0100,Restaurant,Cafe,',
+          '"Pizza, Inc.",9 2nd St.,Albany,OR,97321,541-555-0101,Restaurant,Pizza,https://pizza.example.com',
+          'Bad Zip,1 Elm St.,Corvallis,OR,abc,541-555-0102,Shopping,Books,',
+          'Too Few,Cells'
+        ].join('\n'));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.valid, 2);
+      assert.equal(res.body.invalid, 2);
+      assert.deepEqual(res.body.rows.map(row => [ row.line, row.status ]), [
+        [ 2, 'created' ], [ 3, 'created' ], [ 4, 'invalid' ], [ 5, 'invalid' ]
+      ]);
+      assert.deepEqual(res.body.rows[2].errors, [
+        { field: 'zip', reason: 'must be a valid zip' }
+      ]);
+
+      const business = await request.get(`/businesses/${res.body.rows[1].id}`);
+      assert.equal(business.body.name, 'Pizza, Inc.');
+      assert.equal(business.body.ownerid, user.id);
+      assert.equal(business.body.website, 'https://pizza.example.com');
+    });
+
+    it('creates a business for each valid NDJSON line', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses/import')
+        .set('Authorization', user.auth)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(toNdjson([ validBusiness(), { ...validBusiness(), ownerid: 1 } ]) + '{"name":\n');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.rows, [
+        { line: 1, status: 'created', id: res.body.rows[0].id },
+        {
+          line: 2,
+          status: 'invalid',
+          errors: [ { field: 'ownerid', reason: 'is not allowed' } ]
+        },
+        {
+          line: 3,
+          status: 'invalid',
+          errors: [ { field: null, reason: 'is not valid JSON' } ]
+        }
+      ]);
+
+      const businesses = await request.get(`/users/${user.id}/businesses`);
+      assert.equal(businesses.body.count, 1);
+    });
+
+    it('inserts large uploads in batches', async function () {
+      const user = await createUser();
+      const records = [];
+      for (let i = 0; i < 250; i++) {
+        records.push({ ...validBusiness(), name: `Cafe ${i}` });
+      }
+      const res = await request.post('/businesses/import')
+        .set('Authorization', user.auth)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(toNdjson(records));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.valid, 250);
+      const ids = res.body.rows.map(row => row.id);
+      assert.equal(new Set(ids).size, 250);
+
+      const businesses = await request.get(`/users/${user.id}/businesses`);
+      assert.equal(businesses.body.count, 250);
+    });
+
+    it('only validates in a dry run', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses/import?dryRun=true')
+        .set('Authorization', user.auth)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(toNdjson([ validBusiness(), { name: 'Incomplete' } ]));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.deepEqual(res.body.rows.map(row => row.status), [ 'valid', 'invalid' ]);
+      assert.equal(res.body.rows[0].id, undefined);
+
+      const businesses = await request.get(`/users/${user.id}/businesses`);
+      assert.equal(businesses.body.count, 0);
+    });
+
+    it('reports CSV that cannot be parsed', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses/import')
+        .set('Authorization', user.auth)
+        .set('Content-Type', 'text/csv')
+        .send(`${csvHeader}\n"Unclosed,123 Main St.\n`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.rows, [
+        {
+          line: 2,
+          status: 'invalid',
+          errors: [ { field: null, reason: 'is not valid CSV' } ]
+        }
+      ]);
+    });
+
+    it('rejects other types of upload', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses/import')
+        .set('Authorization', user.auth)
+        .send([ validBusiness() ]);
+      assert.equal(res.status, 415);
+    });
+
+    it('requires authentication', async function () {
+      const res = await request.post('/businesses/import')
+        .set('Content-Type', 'text/csv')
+        .send(csvHeader);
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('PUT /businesses/:businessid', function () {
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    it('replaces a business', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.put(`/businesses/${id}`)
+        .set('Authorization', user.auth)
+        .send({ ...validBusiness(), name: 'Renamed' });
+      assert.equal(res.status, 200);
+
+      const business = await request.get(`/businesses/${id}`);
+      assert.equal(business.body.name, 'Renamed');
+    });
+
+    it("rejects changes to another user's business", async function () {
+      const owner = await createUser();
+      const other = await createUser();
+      const id = await createBusiness(owner);
+      const res = await request.put(`/businesses/${id}`)
+        .set('Authorization', other.auth)
+        .send(validBusiness());
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects an incomplete business', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.put(`/businesses/${id}`)
+        .set('Authorization', user.auth)
+        .send({ name: 'Renamed' });
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a business that does not exist', async function () {
+      const user = await createUser();
+      const res = await request.put('/businesses/9999')
+        .set('Authorization', user.auth)
+        .send(validBusiness());
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /businesses/:businessid', function () {
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    it('updates only the fields sent', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.patch(`/businesses/${id}`)
+        .set('Authorization', user.auth)
+        .send({ phone: '541-555-0199' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.phone, '541-555-0199');
+      assert.equal(res.body.name, validBusiness().name);
+    });
+
+    it('clears an optional field set to null', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user, { website: 'https://example.com' });
+      const res = await request.patch(`/businesses/${id}`)
+        .set('Authorization', user.auth)
+        .send({ website: null });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.website, null);
+      assert.equal(res.body.name, validBusiness().name);
+    });
+
+    it('rejects clearing a required field', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.patch(`/businesses/${id}`)
+        .set('Authorization', user.auth)
+        .send({ name: null });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects an empty update', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.patch(`/businesses/${id}`)
+        .set('Authorization', user.auth)
+        .send({});
+      assert.equal(res.status, 400);
+    });
+
+    it("rejects changes to another user's business", async function () {
+      const owner = await createUser();
+      const other = await createUser();
+      const id = await createBusiness(owner);
+      const res = await request.patch(`/businesses/${id}`)
+        .set('Authorization', other.auth)
+        .send({ name: 'Mine now' });
+      assert.equal(res.status, 403);
+    });
+
+    it('responds with 404 for a business that does not exist', async function () {
+      const user = await createUser();
+      const res = await request.patch('/businesses/9999')
+        .set('Authorization', user.auth)
+        .send({ name: 'Renamed' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /businesses/:businessid/hours', function () {
+    const hours = {
+      timezone: 'America/New_York',
+      weekly: { monday: [ { open: '09:00', close: '17:00' } ] },
+      exceptions: [ { date: '2026-12-28', intervals: [] } ]
+    };
+
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    it('sets the hours returned with the business', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.put(`/businesses/${id}/hours`)
+        .set('Authorization', user.auth)
+        .send(hours);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, hours);
+
+      const business = await request.get(`/businesses/${id}`);
+      assert.deepEqual(business.body.hours, hours);
+    });
+
+    it('rejects invalid hours', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.put(`/businesses/${id}/hours`)
+        .set('Authorization', user.auth)
+        .send({ ...hours, timezone: 'Nowhere' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'timezone', reason: 'must be a valid IANA timezone' }
+      ]);
+    });
+
+    it("rejects changes to another user's business", async function () {
+      const owner = await createUser();
+      const other = await createUser();
+      const id = await createBusiness(owner);
+      const res = await request.put(`/businesses/${id}/hours`)
+        .set('Authorization', other.auth)
+        .send(hours);
+      assert.equal(res.status, 403);
+    });
+
+    it('filters businesses open at a given time', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      await createBusiness(user);
+      await request.put(`/businesses/${id}/hours`)
+        .set('Authorization', user.auth)
+        .send(hours);
+
+      // Monday, December 21, 10:00 in New York
+      const open = await request.get('/businesses?openAt=2026-12-21T15:00:00Z');
+      assert.deepEqual(open.body.businesses.map(b => b.id), [ id ]);
+      // Monday, December 28, a holiday
+      const holiday = await request.get('/businesses?openAt=2026-12-28T15:00:00Z');
+      assert.equal(holiday.body.count, 0);
+    });
+
+    it('rejects an invalid openAt', async function () {
+      const res = await request.get('/businesses?openAt=tomorrow');
+      assert.equal(res.status, 400);
+    });
+
+    it('filters businesses open now', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      await request.put(`/businesses/${id}/hours`)
+        .set('Authorization', user.auth)
+        .send({
+          timezone: 'UTC',
+          weekly: Object.fromEntries([
+            'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+            'saturday'
+          ].map(day => [ day, [ { open: '00:00', close: '24:00' } ] ]))
+        });
+
+      const res = await request.get('/businesses?openNow=true');
+      assert.deepEqual(res.body.businesses.map(b => b.id), [ id ]);
+    });
+  });
+
+  describe('DELETE /businesses/:businessid', function () {
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    it('deletes a business', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.delete(`/businesses/${id}`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 204);
+
+      const business = await request.get(`/businesses/${id}`);
+      assert.equal(business.status, 404);
+    });
+
+    it("rejects deleting another user's business", async function () {
+      const owner = await createUser();
+      const other = await createUser();
+      const id = await createBusiness(owner);
+      const res = await request.delete(`/businesses/${id}`)
+        .set('Authorization', other.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('responds with 404 for a business that does not exist', async function () {
+      const user = await createUser();
+      const res = await request.delete('/businesses/9999')
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 404);
+    });
+
+    it("hides a deleted business's reviews and photos", async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const review = await request.post('/reviews')
+        .set('Authorization', user.auth)
+        .send({ businessid: id, dollars: 2, stars: 4 });
+      const photo = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', id)
+        .attach('image', await createImage(), 'photo.png');
+
+      await request.delete(`/businesses/${id}`).set('Authorization', user.auth);
+
+      assert.equal((await request.get(`/reviews/${review.body.id}`)).status, 404);
+      assert.equal((await request.get(`/photos/${photo.body.id}`)).status, 404);
+      const list = await request.get('/businesses');
+      assert.equal(list.body.count, 0);
+      const summary = await request.get(`/users/${user.id}`);
+      assert.equal(summary.body.businessCount, 0);
+      assert.equal(summary.body.reviewCount, 0);
+      assert.equal(summary.body.photoCount, 0);
+    });
+
+    it('permanently deletes a business and its children with cascade', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const review = await request.post('/reviews')
+        .set('Authorization', user.auth)
+        .send({ businessid: id, dollars: 2, stars: 4 });
+
+      const res = await request.delete(`/businesses/${id}?cascade=true`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 204);
+
+      const restore = await request.post(`/businesses/${id}/restore`)
+        .set('Authorization', user.auth);
+      assert.equal(restore.status, 404);
+      assert.equal((await request.get(`/reviews/${review.body.id}`)).status, 404);
+    });
+
+    it('permanently deletes an already deleted business with cascade', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      await request.delete(`/businesses/${id}`).set('Authorization', user.auth);
+
+      const again = await request.delete(`/businesses/${id}`)
+        .set('Authorization', user.auth);
+      assert.equal(again.status, 404);
+      const res = await request.delete(`/businesses/${id}?cascade=true`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 204);
+    });
+  });
+
+  describe('POST /businesses/:businessid/restore', function () {
+    beforeEach(function () {
+      resetData({ fixtures: false });
+    });
+
+    it('restores a deleted business along with its reviews', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const review = await request.post('/reviews')
+        .set('Authorization', user.auth)
+        .send({ businessid: id, dollars: 2, stars: 4 });
+      await request.delete(`/businesses/${id}`).set('Authorization', user.auth);
+
+      const res = await request.post(`/businesses/${id}/restore`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, id);
+      assert.equal(res.body.reviewCount, 1);
+      assert.equal((await request.get(`/businesses/${id}`)).status, 200);
+      assert.equal((await request.get(`/reviews/${review.body.id}`)).status, 200);
+    });
+
+    it('rejects restoring a business that is not deleted', async function () {
+      const user = await createUser();
+      const id = await createBusiness(user);
+      const res = await request.post(`/businesses/${id}/restore`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, 'not_deleted');
+
+      const business = await request.get(`/businesses/${id}`);
+      assert.equal(business.body.version, 1);
+    });
+
+    it("rejects restoring another user's business", async function () {
+      const owner = await createUser();
+      const other = await createUser();
+      const id = await createBusiness(owner);
+      await request.delete(`/businesses/${id}`).set('Authorization', owner.auth);
+
+      const res = await request.post(`/businesses/${id}/restore`)
+        .set('Authorization', other.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('responds with 404 for a business that does not exist', async function () {
+      const user = await createUser();
+      const res = await request.post('/businesses/9999/restore')
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /businesses/:businessid/history', function () {
+    let owner, id;
+
+    beforeEach(async function () {
+      resetData({ fixtures: false });
+      owner = await createUser();
+      id = await createBusiness(owner);
+    });
+
+    it('lists every change with who made it, newest first', async function () {
+      await request.put(`/businesses/${id}`)
+        .set('Authorization', owner.auth)
+        .send({ ...validBusiness(), address: '456 Oak Ave.' });
+      await request.delete(`/businesses/${id}`).set('Authorization', owner.auth);
+
+      const res = await request.get(`/businesses/${id}/history`)
+        .set('Authorization', owner.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 3);
+      const [ deleted, updated, created ] = res.body.history;
+      assert.deepEqual(
+        res.body.history.map(entry => [ entry.action, entry.version ]),
+        [ [ 'delete', 3 ], [ 'update', 2 ], [ 'create', 1 ] ]
+      );
+      assert.deepEqual(updated.changes, {
+        address: { from: '123 Main St.', to: '456 Oak Ave.' }
+      });
+      assert.equal(updated.actor, owner.id);
+      assert.deepEqual(created.changes.name, { from: null, to: 'Test Cafe' });
+      assert.deepEqual(deleted.changes, {});
+    });
+
+    it('links to the other pages of a long history', async function () {
+      for (let i = 0; i < 10; i++) {
+        await request.patch(`/businesses/${id}`)
+          .set('Authorization', owner.auth)
+          .send({ name: `Name ${i}` });
+      }
+
+      const res = await request.get(`/businesses/${id}/history`)
+        .set('Authorization', owner.auth);
+      assert.equal(res.body.totalPages, 2);
+      assert.deepEqual(res.body.links, {
+        nextPage: `/businesses/${id}/history?page=2`,
+        lastPage: `/businesses/${id}/history?page=2`
+      });
+    });
+
+    it('keeps the history of a purged business for moderators', async function () {
+      const moderator = await createUser();
+      makeModerator(moderator);
+      await request.post('/reviews')
+        .set('Authorization', owner.auth)
+        .send({ businessid: id, dollars: 2, stars: 4 });
+      await request.delete(`/businesses/${id}?cascade=true`)
+        .set('Authorization', owner.auth);
+
+      const res = await request.get(`/businesses/${id}/history`)
+        .set('Authorization', moderator.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.history[0].action, 'purge');
+      assert.deepEqual(res.body.history[0].changes.name, { from: 'Test Cafe', to: null });
+
+      const denied = await request.get(`/businesses/${id}/history`)
+        .set('Authorization', owner.auth);
+      assert.equal(denied.status, 403);
+    });
+
+    it("is limited to the business's owner and moderators", async function () {
+      const other = await createUser();
+      const res = await request.get(`/businesses/${id}/history`)
+        .set('Authorization', other.auth);
+      assert.equal(res.status, 403);
+
+      assert.equal((await request.get(`/businesses/${id}/history`)).status, 401);
+
+      const missing = await request.get('/businesses/9999/history')
+        .set('Authorization', owner.auth);
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe('POST /businesses/:businessid/revert', function () {
+    let owner, id;
+
+    beforeEach(async function () {
+      resetData({ fixtures: false });
+      owner = await createUser();
+      id = await createBusiness(owner);
+    });
+
+    it('puts back the fields a business had at an earlier version', async function () {
+      await request.patch(`/businesses/${id}`)
+        .set('Authorization', owner.auth)
+        .send({ address: '456 Oak Ave.', website: 'https://example.com' });
+      await request.put(`/businesses/${id}/hours`)
+        .set('Authorization', owner.auth)
+        .send({
+          timezone: 'America/Los_Angeles',
+          weekly: { monday: [ { open: '08:00', close: '17:00' } ] }
+        });
+
+      const res = await request.post(`/businesses/${id}/revert`)
+        .set('Authorization', owner.auth)
+        .send({ version: 1 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.address, '123 Main St.');
+      assert.equal(res.body.website, null);
+      assert.equal(res.body.hours, null);
+      assert.equal(res.body.version, 4);
+      assert.equal(res.headers.etag, '"4"');
+
+      const history = await request.get(`/businesses/${id}/history`)
+        .set('Authorization', owner.auth);
+      assert.equal(history.body.history[0].action, 'update');
+      assert.deepEqual(history.body.history[0].changes.address, {
+        from: '456 Oak Ave.', to: '123 Main St.'
+      });
+    });
+
+    it('reverts to versions from changes to reviews', async function () {
+      await request.patch(`/businesses/${id}`)
+        .set('Authorization', owner.auth)
+        .send({ name: 'Renamed Cafe' });
+      const reviewer = await createUser();
+      await request.post('/reviews')
+        .set('Authorization', reviewer.auth)
+        .send({ businessid: id, dollars: 2, stars: 4 });
+      await request.patch(`/businesses/${id}`)
+        .set('Authorization', owner.auth)
+        .send({ name: 'Renamed Again' });
+
+      const res = await request.post(`/businesses/${id}/revert`)
+        .set('Authorization', owner.auth)
+        .send({ version: 3 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.name, 'Renamed Cafe');
+    });
+
+    it('rejects versions that are not earlier than the current one', async function () {
+      const res = await request.post(`/businesses/${id}/revert`)
+        .set('Authorization', owner.auth)
+        .send({ version: 1 });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, 'invalid_version');
+    });
+
+    it('responds with 404 for versions missing from the history', async function () {
+      // As for businesses created before there was an audit log.
+      store.tables.audit_log.length = 0;
+      await request.patch(`/businesses/${id}`)
+        .set('Authorization', owner.auth)
+        .send({ name: 'Renamed Cafe' });
+
+      const res = await request.post(`/businesses/${id}/revert`)
+        .set('Authorization', owner.auth)
+        .send({ version: 1 });
+      assert.equal(res.status, 404);
+    });
+
+    it("rejects reverting another user's business", async function () {
+      await request.patch(`/businesses/${id}`)
+        .set('Authorization', owner.auth)
+        .send({ name: 'Renamed Cafe' });
+      const other = await createUser();
+      const res = await request.post(`/businesses/${id}/revert`)
+        .set('Authorization', other.auth)
+        .send({ version: 1 });
+      assert.equal(res.status, 403);
+    });
+  });
+});
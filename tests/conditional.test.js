@@ -0,0 +1,212 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  request, resetData, createUser, createBusiness, createImage, validBusiness
+} = require('./helpers');
+
+describe('conditional requests', function () {
+  let user, businessid;
+
+  beforeEach(async function () {
+    resetData({ fixtures: false });
+    user = await createUser();
+    businessid = await createBusiness(user);
+  });
+
+  describe('If-None-Match', function () {
+    it('gives a business an ETag from its version', async function () {
+      const res = await request.get(`/businesses/${businessid}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.etag, '"1"');
+      assert.equal(res.body.version, 1);
+    });
+
+    it('responds with 304 when the business has not changed', async function () {
+      const res = await request.get(`/businesses/${businessid}`)
+        .set('If-None-Match', '"1"');
+      assert.equal(res.status, 304);
+      assert.equal(res.text, '');
+    });
+
+    it('changes the ETag of a business when it changes', async function () {
+      await request.patch(`/businesses/${businessid}`)
+        .set('Authorization', user.auth)
+        .send({ name: 'Renamed' });
+      const res = await request.get(`/businesses/${businessid}`)
+        .set('If-None-Match', '"1"');
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.etag, '"2"');
+    });
+
+    it('changes the ETag of a business when its reviews change', async function () {
+      const reviewer = await createUser();
+      await request.post('/reviews')
+        .set('Authorization', reviewer.auth)
+        .send({ businessid: businessid, dollars: 2, stars: 4 });
+      const res = await request.get(`/businesses/${businessid}`)
+        .set('If-None-Match', '"1"');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.reviewCount, 1);
+    });
+
+    it('changes the ETags of both businesses when a photo moves', async function () {
+      const { body } = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', businessid)
+        .attach('image', await createImage(), 'photo.png');
+      const otherid = await createBusiness(user);
+      const before = await request.get(`/businesses/${businessid}`);
+      const otherBefore = await request.get(`/businesses/${otherid}`);
+
+      await request.patch(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ businessid: otherid });
+
+      const res = await request.get(`/businesses/${businessid}`)
+        .set('If-None-Match', before.headers.etag);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.photos.length, 0);
+      const other = await request.get(`/businesses/${otherid}`)
+        .set('If-None-Match', otherBefore.headers.etag);
+      assert.equal(other.status, 200);
+      assert.equal(other.body.photos.length, 1);
+    });
+
+    it('responds with 304 for an unchanged review', async function () {
+      const { body } = await request.post('/reviews')
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, dollars: 2, stars: 4 });
+      const review = await request.get(`/reviews/${body.id}`);
+      const res = await request.get(`/reviews/${body.id}`)
+        .set('If-None-Match', review.headers.etag);
+      assert.equal(res.status, 304);
+    });
+
+    it('responds with 304 for an unchanged photo', async function () {
+      const { body } = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', businessid)
+        .attach('image', await createImage(), 'photo.png');
+      const photo = await request.get(`/photos/${body.id}`);
+      const res = await request.get(`/photos/${body.id}`)
+        .set('If-None-Match', photo.headers.etag);
+      assert.equal(res.status, 304);
+    });
+
+    it('responds with 304 for an unchanged list', async function () {
+      const list = await request.get('/businesses');
+      assert.match(list.headers.etag, /^"/);
+      const res = await request.get('/businesses')
+        .set('If-None-Match', list.headers.etag);
+      assert.equal(res.status, 304);
+    });
+
+    it('gives lists a Cache-Control policy', async function () {
+      const list = await request.get('/businesses');
+      assert.equal(list.headers['cache-control'], 'public, max-age=30, must-revalidate');
+
+      const userList = await request.get(`/users/${user.id}/businesses`);
+      assert.equal(userList.headers['cache-control'], 'public, max-age=30, must-revalidate');
+    });
+  });
+
+  describe('If-Match', function () {
+    it('replaces a business when its ETag matches', async function () {
+      const res = await request.put(`/businesses/${businessid}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"1"')
+        .send({ ...validBusiness(), name: 'Replaced' });
+      assert.equal(res.status, 200);
+    });
+
+    it('rejects replacing a business that has changed', async function () {
+      await request.patch(`/businesses/${businessid}`)
+        .set('Authorization', user.auth)
+        .send({ name: 'First edit' });
+      const res = await request.patch(`/businesses/${businessid}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"1"')
+        .send({ name: 'Second edit' });
+      assert.equal(res.status, 412);
+
+      const business = await request.get(`/businesses/${businessid}`);
+      assert.equal(business.body.name, 'First edit');
+    });
+
+    it('sends the new ETag with an updated business', async function () {
+      const res = await request.patch(`/businesses/${businessid}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"1"')
+        .send({ name: 'Renamed' });
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.etag, '"2"');
+    });
+
+    it('does not match a weak ETag', async function () {
+      const res = await request.put(`/businesses/${businessid}/hours`)
+        .set('Authorization', user.auth)
+        .set('If-Match', 'W/"1"')
+        .send({ timezone: 'UTC', weekly: {} });
+      assert.equal(res.status, 412);
+    });
+
+    it('accepts any version with *', async function () {
+      const res = await request.delete(`/businesses/${businessid}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '*');
+      assert.equal(res.status, 204);
+    });
+
+    it('rejects deleting a business that has changed', async function () {
+      const res = await request.delete(`/businesses/${businessid}?cascade=true`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"7"');
+      assert.equal(res.status, 412);
+
+      const business = await request.get(`/businesses/${businessid}`);
+      assert.equal(business.status, 200);
+    });
+
+    it('rejects changing a review that has changed', async function () {
+      const { body } = await request.post('/reviews')
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, dollars: 2, stars: 4 });
+      await request.patch(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ stars: 5 });
+
+      const update = await request.put(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"1"')
+        .send({ businessid: businessid, dollars: 1, stars: 1 });
+      assert.equal(update.status, 412);
+
+      const remove = await request.delete(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"1"');
+      assert.equal(remove.status, 412);
+    });
+
+    it('rejects changing a photo that has changed', async function () {
+      const { body } = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', businessid)
+        .attach('image', await createImage(), 'photo.png');
+      await request.patch(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ caption: 'First' });
+
+      const res = await request.patch(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"1"')
+        .send({ caption: 'Second' });
+      assert.equal(res.status, 412);
+
+      const remove = await request.delete(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .set('If-Match', '"2"');
+      assert.equal(remove.status, 204);
+    });
+  });
+});
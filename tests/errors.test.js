@@ -0,0 +1,62 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { request, resetData, createUser } = require('./helpers');
+const repositories = require('../lib/repositories');
+
+describe('errors', function () {
+  beforeEach(function () {
+    resetData();
+  });
+
+  it('sends validation errors as problem details', async function () {
+    const user = await createUser();
+    const res = await request.post('/businesses')
+      .set('Authorization', user.auth)
+      .send({ name: 'No address' });
+    assert.equal(res.status, 400);
+    assert.match(res.headers['content-type'], /^application\/problem\+json/);
+    assert.equal(res.body.type, 'urn:problem-type:validation-failed');
+    assert.equal(res.body.code, 'validation_failed');
+    assert.equal(res.body.status, 400);
+    assert.ok(res.body.errors.some(error => error.field === 'address'));
+  });
+
+  it('sends a stable code for each kind of error', async function () {
+    const res = await request.post('/reviews')
+      .set('Authorization', 'Bearer not-a-token')
+      .send({});
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'invalid_token');
+    assert.equal(res.body.title, 'Unauthorized');
+  });
+
+  it('rejects a request body that is not valid JSON', async function () {
+    const user = await createUser();
+    const res = await request.post('/businesses')
+      .set('Authorization', user.auth)
+      .set('Content-Type', 'application/json')
+      .send('{"name":');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_json');
+  });
+
+  describe('unexpected errors', function () {
+    const getSummaryById = repositories.users.getSummaryById;
+
+    afterEach(function () {
+      repositories.users.getSummaryById = getSummaryById;
+    });
+
+    it('are sent as a 500 without their details', async function () {
+      repositories.users.getSummaryById = async function () {
+        throw new Error('Connection lost: secret.internal:3306');
+      };
+      const res = await request.get('/users/1');
+      assert.equal(res.status, 500);
+      assert.equal(res.body.code, 'internal_error');
+      assert.equal(res.body.requestId, res.headers['x-request-id']);
+      assert.doesNotMatch(res.text, /secret/);
+    });
+  });
+});
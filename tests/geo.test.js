@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getZipCentroid, getDistanceKm } = require('../lib/geo');
+
+describe('getZipCentroid()', function () {
+  it('looks up zip codes', function () {
+    assert.deepEqual(getZipCentroid('97330'), { latitude: 44.648, longitude: -123.2596 });
+  });
+
+  it('ignores the ZIP+4 suffix', function () {
+    assert.deepEqual(getZipCentroid('97330-1234'), getZipCentroid('97330'));
+  });
+
+  it('returns undefined for unknown zip codes', function () {
+    assert.equal(getZipCentroid('00000'), undefined);
+  });
+});
+
+describe('getDistanceKm()', function () {
+  it('computes great-circle distances', function () {
+    const portland = { latitude: 45.5152, longitude: -122.6784 };
+    const seattle = { latitude: 47.6062, longitude: -122.3321 };
+    assert.ok(Math.abs(getDistanceKm(portland, seattle) - 234) < 1);
+  });
+
+  it('is zero between a point and itself', function () {
+    const point = { latitude: 44.5646, longitude: -123.262 };
+    assert.equal(getDistanceKm(point, point), 0);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { request } = require('./helpers');
+const { setShuttingDown } = require('../lib/health');
+
+describe('health checks', function () {
+  it('reports that the server is alive', async function () {
+    const res = await request.get('/healthz');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { status: 'ok' });
+    assert.equal(res.headers['cache-control'], 'no-store');
+  });
+
+  it('reports that the server is ready', async function () {
+    const res = await request.get('/readyz');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ready');
+    assert.equal(res.headers['cache-control'], 'no-store');
+  });
+
+  // Shutting down can't be undone, so this must run last.
+  it('reports that the server is not ready once it is shutting down', async function () {
+    setShuttingDown();
+    const res = await request.get('/readyz');
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body, {
+      status: 'not ready',
+      checks: { shutdown: 'shutting down' }
+    });
+
+    const alive = await request.get('/healthz');
+    assert.equal(alive.status, 200);
+  });
+});
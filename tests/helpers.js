@@ -0,0 +1,123 @@
+/*
+ * Shared setup for the API tests.  The app runs in-process against the
+ * in-memory data backend and job queue, so no database is needed, and
+ * uploaded images are stored in a temporary directory.
+ *
+ * This module must be required before anything else from the app, since
+ * the backends are chosen when they're first loaded.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_BACKEND = 'memory';
+process.env.QUEUE_BACKEND = 'memory';
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+
+process.on('exit', function () {
+  fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+});
+
+const supertest = require('supertest');
+const sharp = require('sharp');
+
+const app = require('../server');
+const store = require('../lib/repositories/memory/store');
+const { seedMemoryStore } = require('../lib/seed');
+const { queue } = require('../lib/jobQueue');
+
+const request = supertest(app);
+
+exports.app = app;
+exports.request = request;
+exports.queue = queue;
+
+/*
+ * Empties the in-memory store and, unless `fixtures` is false, loads the
+ * fixtures in data/ into it.  The fixtures include businesses, reviews and
+ * photos, but no users, and fixture photos have no image.  Note that the
+ * fixtures belong to user ids that new users will be given.
+ */
+exports.resetData = function ({ fixtures = true } = {}) {
+  store.reset();
+  if (fixtures) {
+    seedMemoryStore();
+  }
+  queue.jobs.length = 0;
+};
+
+let userCount = 0;
+
+/*
+ * Registers a new user and logs them in.  Resolves to the user's id along
+ * with an Authorization header value for their token.
+ */
+exports.createUser = async function (name = 'Test User') {
+  userCount++;
+  const user = {
+    name: name,
+    email: `user${userCount}@example.com`,
+    password: 'hunter2hunter2'
+  };
+  const registered = await request.post('/users').send(user);
+  const login = await request.post('/users/login').send({
+    email: user.email,
+    password: user.password
+  });
+  return {
+    id: registered.body.id,
+    email: user.email,
+    password: user.password,
+    auth: `Bearer ${login.body.token}`
+  };
+};
+
+/*
+ * Makes a user a moderator, as is done directly in the database.
+ */
+exports.makeModerator = function (user) {
+  store.update('users', user.id, { moderator: true });
+};
+
+/*
+ * A business that passes validation.
+ */
+exports.validBusiness = function () {
+  return {
+    name: 'Test Cafe',
+    address: '123 Main St.',
+    city: 'Corvallis',
+    state: 'OR',
+    zip: '97330',
+    phone: '541-555-0100',
+    category: 'Restaurant',
+    subcategory: 'Cafe'
+  };
+};
+
+/*
+ * Creates a business owned by the given user and resolves to its id.
+ */
+exports.createBusiness = async function (user, fields = {}) {
+  const res = await request.post('/businesses')
+    .set('Authorization', user.auth)
+    .send({ ...exports.validBusiness(), ...fields });
+  return res.body.id;
+};
+
+/*
+ * Generates a small image of the given format ('png' or 'jpeg').
+ */
+exports.createImage = function (format = 'png', width = 800, height = 600) {
+  return sharp({
+    create: {
+      width: width,
+      height: height,
+      channels: 3,
+      background: { r: 200, g: 100, b: 50 }
+    }
+  })[format]().toBuffer();
+};
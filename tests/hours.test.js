@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateHours, extractHours, isOpenAt, getDaysAffecting
+} = require('../lib/hours');
+
+/*
+ * A bar in Portland, open late on weekends and closed on New Year's Day.
+ */
+const hours = {
+  timezone: 'America/Los_Angeles',
+  weekly: {
+    monday: [ { open: '11:00', close: '14:00' }, { open: '17:00', close: '22:00' } ],
+    friday: [ { open: '17:00', close: '02:00' } ],
+    saturday: [ { open: '12:00', close: '24:00' } ]
+  },
+  exceptions: [
+    { date: '2027-01-01', intervals: [] },
+    { date: '2026-12-31', intervals: [ { open: '20:00', close: '03:00' } ] }
+  ]
+};
+
+describe('validateHours()', function () {
+  it('accepts valid hours', function () {
+    assert.deepEqual(validateHours(hours), []);
+  });
+
+  it('requires a known timezone', function () {
+    assert.deepEqual(validateHours({ ...hours, timezone: 'Mars/Olympus_Mons' }), [
+      { field: 'timezone', reason: 'must be a valid IANA timezone' }
+    ]);
+  });
+
+  it('checks days and intervals', function () {
+    assert.deepEqual(validateHours({
+      timezone: 'UTC',
+      weekly: {
+        funday: [],
+        monday: [ { open: '9:00', close: '25:00' }, { open: '10:00', close: '10:00' } ],
+        tuesday: { open: '10:00', close: '11:00' }
+      }
+    }), [
+      { field: 'weekly.funday', reason: 'is not a day of the week' },
+      { field: 'weekly.monday[0].open', reason: 'must be a time as HH:MM' },
+      { field: 'weekly.monday[0].close', reason: 'must be a time as HH:MM' },
+      { field: 'weekly.monday[1]', reason: 'must close at a different time than it opens' },
+      { field: 'weekly.tuesday', reason: 'must be an array' }
+    ]);
+  });
+
+  it('checks exceptions', function () {
+    assert.deepEqual(validateHours({
+      timezone: 'UTC',
+      weekly: {},
+      exceptions: [
+        { date: '2026-02-30', intervals: [] },
+        { date: '2026-12-25' },
+        { date: '2026-12-25', intervals: [] }
+      ]
+    }), [
+      { field: 'exceptions[0].date', reason: 'must be a date as YYYY-MM-DD' },
+      { field: 'exceptions[1].intervals', reason: 'must be an array' },
+      { field: 'exceptions[2].date', reason: 'must not repeat another exception' }
+    ]);
+  });
+});
+
+describe('extractHours()', function () {
+  it('keeps only the known fields', function () {
+    assert.deepEqual(extractHours({
+      timezone: 'UTC',
+      weekly: { monday: [ { open: '09:00', close: '17:00' } ] }
+    }), {
+      timezone: 'UTC',
+      weekly: { monday: [ { open: '09:00', close: '17:00' } ] },
+      exceptions: []
+    });
+  });
+});
+
+describe('isOpenAt()', function () {
+  // Portland is on PST (UTC-8) in winter and PDT (UTC-7) in summer.
+  const at = iso => new Date(iso);
+
+  it('checks the weekly hours in the business timezone', function () {
+    // Monday, 12:30 PST
+    assert.equal(isOpenAt(hours, at('2026-12-07T20:30:00Z')), true);
+    // Monday, 15:00 PST, between lunch and dinner
+    assert.equal(isOpenAt(hours, at('2026-12-07T23:00:00Z')), false);
+    // Monday, 21:59 PDT
+    assert.equal(isOpenAt(hours, at('2026-06-02T04:59:00Z')), true);
+    // Monday, 22:00 PDT
+    assert.equal(isOpenAt(hours, at('2026-06-02T05:00:00Z')), false);
+  });
+
+  it('treats days without hours as closed', function () {
+    // Tuesday, 12:00 PST
+    assert.equal(isOpenAt(hours, at('2026-12-08T20:00:00Z')), false);
+  });
+
+  it('handles intervals that run past midnight', function () {
+    // Saturday, 01:30 PST, after opening on Friday
+    assert.equal(isOpenAt(hours, at('2026-12-12T09:30:00Z')), true);
+    // Saturday, 02:00 PST
+    assert.equal(isOpenAt(hours, at('2026-12-12T10:00:00Z')), false);
+    // Saturday, 23:59 PST, before closing at midnight
+    assert.equal(isOpenAt(hours, at('2026-12-13T07:59:00Z')), true);
+  });
+
+  it('applies exceptions instead of the weekly hours', function () {
+    // Thursday, December 31, 23:00 PST
+    assert.equal(isOpenAt(hours, at('2027-01-01T07:00:00Z')), true);
+    // Friday, January 1, 02:30 PST, still open from New Year's Eve
+    assert.equal(isOpenAt(hours, at('2027-01-01T10:30:00Z')), true);
+    // Friday, January 1, 18:00 PST, when it would usually be open
+    assert.equal(isOpenAt(hours, at('2027-01-02T02:00:00Z')), false);
+  });
+
+  it('is never open without hours', function () {
+    assert.equal(isOpenAt(null, new Date()), false);
+  });
+});
+
+describe('getDaysAffecting()', function () {
+  it('includes the local dates in every timezone and the dates before them', function () {
+    // Saturday, 10:00 UTC: Friday in Etc/GMT+12, Sunday in Pacific/Kiritimati
+    const days = getDaysAffecting(new Date('2026-12-12T10:00:00Z'));
+    assert.deepEqual(days, [
+      { date: '2026-12-10', day: 'thursday' },
+      { date: '2026-12-11', day: 'friday' },
+      { date: '2026-12-12', day: 'saturday' },
+      { date: '2026-12-13', day: 'sunday' }
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryQueue } = require('../lib/jobQueue');
+
+describe('createMemoryQueue()', function () {
+  it('reserves jobs again whose worker stopped running them', async function () {
+    const queue = createMemoryQueue();
+    const id = await queue.enqueue('thumbnail', { photoid: 1 });
+    const job = await queue.reserve();
+    assert.equal(job.id, id);
+    assert.equal(await queue.reserve(), null);
+
+    // The lease runs out without the job being completed or failed.
+    job.runAt = Date.now();
+    const retried = await queue.reserve();
+    assert.equal(retried.id, id);
+    assert.equal(retried.attempts, 2);
+  });
+
+  it('fails jobs whose lease runs out on their last attempt', async function () {
+    const queue = createMemoryQueue();
+    await queue.enqueue('thumbnail', { photoid: 1 }, { maxAttempts: 1 });
+    const job = await queue.reserve();
+
+    job.runAt = Date.now();
+    assert.equal(await queue.reserve(), null);
+    assert.equal(job.status, 'failed');
+    assert.ok(job.lastError);
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const store = require('../lib/repositories/memory/store');
+
+describe('memory store', function () {
+  beforeEach(function () {
+    store.reset();
+  });
+
+  it('rejects rows referencing rows that do not exist', function () {
+    assert.throws(
+      () => store.insert('reviews', { businessid: 9999, userid: 1 }),
+      { code: 'ER_NO_REFERENCED_ROW_2' }
+    );
+
+    const businessid = store.insert('businesses', { name: 'Cafe' });
+    const id = store.insert('photos', { businessid: businessid, userid: 1 });
+    assert.throws(
+      () => store.update('photos', id, { businessid: 9999 }),
+      { code: 'ER_NO_REFERENCED_ROW_2' }
+    );
+    assert.equal(store.find('photos', id).businessid, businessid);
+  });
+});
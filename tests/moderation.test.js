@@ -0,0 +1,103 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  request, resetData, createUser, createBusiness, makeModerator
+} = require('./helpers');
+
+describe('/moderation', function () {
+  let moderator, owner, reviewer, businessid, reviewid;
+
+  beforeEach(async function () {
+    resetData({ fixtures: false });
+    moderator = await createUser();
+    makeModerator(moderator);
+    owner = await createUser();
+    reviewer = await createUser();
+    businessid = await createBusiness(owner);
+    const review = await request.post('/reviews')
+      .set('Authorization', reviewer.auth)
+      .send({ businessid: businessid, dollars: 1, stars: 0 });
+    reviewid = review.body.id;
+    await request.post(`/reviews/${reviewid}/flags`)
+      .set('Authorization', owner.auth)
+      .send({ reason: 'Abusive' });
+  });
+
+  describe('GET /moderation/reviews', function () {
+    it('lists flagged reviews with their flags', async function () {
+      const res = await request.get('/moderation/reviews')
+        .set('Authorization', moderator.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.reviews[0].id, reviewid);
+      assert.deepEqual(
+        res.body.reviews[0].flags.map(({ userid, reason }) => ({ userid, reason })),
+        [ { userid: owner.id, reason: 'Abusive' } ]
+      );
+      assert.deepEqual(res.body.links, {});
+    });
+
+    it('is limited to moderators', async function () {
+      const res = await request.get('/moderation/reviews')
+        .set('Authorization', owner.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('requires authentication', async function () {
+      const res = await request.get('/moderation/reviews');
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('POST /moderation/reviews/:reviewID/hide', function () {
+    it('hides a review from its business and ratings', async function () {
+      const res = await request.post(`/moderation/reviews/${reviewid}/hide`)
+        .set('Authorization', moderator.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.hidden, true);
+
+      const business = await request.get(`/businesses/${businessid}`);
+      assert.deepEqual(business.body.reviews, []);
+      assert.equal(business.body.reviewCount, 0);
+      assert.equal(business.body.averageStars, null);
+
+      const queue = await request.get('/moderation/reviews')
+        .set('Authorization', moderator.auth);
+      assert.equal(queue.body.count, 0);
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.post('/moderation/reviews/9999/hide')
+        .set('Authorization', moderator.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /moderation/reviews/:reviewID/approve', function () {
+    it('resolves the flags and keeps the review visible', async function () {
+      const res = await request.post(`/moderation/reviews/${reviewid}/approve`)
+        .set('Authorization', moderator.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.hidden, false);
+
+      const business = await request.get(`/businesses/${businessid}`);
+      assert.equal(business.body.reviewCount, 1);
+
+      const queue = await request.get('/moderation/reviews')
+        .set('Authorization', moderator.auth);
+      assert.equal(queue.body.count, 0);
+    });
+
+    it('makes a hidden review visible again', async function () {
+      await request.post(`/moderation/reviews/${reviewid}/hide`)
+        .set('Authorization', moderator.auth);
+      const res = await request.post(`/moderation/reviews/${reviewid}/approve`)
+        .set('Authorization', moderator.auth);
+      assert.equal(res.body.hidden, false);
+
+      const business = await request.get(`/businesses/${businessid}`);
+      assert.equal(business.body.reviews.length, 1);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const listEndpoints = require('express-list-endpoints');
+
+const { request, createUser } = require('./helpers');
+const api = require('../api');
+const { spec } = require('../lib/openapi');
+const repositories = require('../lib/repositories');
+
+/*
+ * Lists the routes in api/ as OpenAPI operations, like
+ * "GET /businesses/{businessid}".
+ */
+function listRoutes() {
+  return listEndpoints(api).flatMap(function (endpoint) {
+    const path = endpoint.path.replace(/:(\w+)/g, '{$1}');
+    return endpoint.methods.map(method => `${method} ${path}`);
+  });
+}
+
+/*
+ * Lists the operations in the OpenAPI description.
+ */
+function listOperations() {
+  return Object.keys(spec.paths).flatMap(function (path) {
+    return Object.keys(spec.paths[path])
+      .filter(key => key !== 'parameters')
+      .map(method => `${method.toUpperCase()} ${path}`);
+  });
+}
+
+describe('OpenAPI description', function () {
+  it('describes every route', function () {
+    const operations = listOperations();
+    const undescribed = listRoutes().filter(route => !operations.includes(route));
+    assert.deepEqual(undescribed, []);
+  });
+
+  it('only describes routes that exist', function () {
+    const routes = listRoutes();
+    const missing = listOperations().filter(operation => !routes.includes(operation));
+    assert.deepEqual(missing, []);
+  });
+
+  it('rejects requests that do not match it', async function () {
+    const user = await createUser();
+    const res = await request.post('/reviews')
+      .set('Authorization', user.auth)
+      .send({ businessid: 1, dollars: 2.5, stars: 3, userid: 2 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.deepEqual(res.body.errors, [
+      { field: 'dollars', reason: 'must be an integer' },
+      { field: 'userid', reason: 'is not allowed' }
+    ]);
+  });
+
+  it('rejects invalid path and query parameters', async function () {
+    const res = await request.get('/businesses/pizza');
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [
+      { field: 'businessid', reason: 'must be an integer' }
+    ]);
+
+    const unknown = await request.get('/businesses?colour=red');
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.errors, [
+      { field: 'colour', reason: 'is not allowed' }
+    ]);
+  });
+
+  it('rejects request bodies that are not JSON', async function () {
+    const user = await createUser();
+    const res = await request.post('/reviews')
+      .set('Authorization', user.auth)
+      .set('Content-Type', 'text/plain')
+      .send('five stars');
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, 'unsupported_media_type');
+  });
+
+  it('checks authentication before the request body', async function () {
+    const res = await request.post('/businesses').send({});
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'invalid_token');
+  });
+
+  describe('responses', function () {
+    const getSummaryById = repositories.users.getSummaryById;
+
+    afterEach(function () {
+      repositories.users.getSummaryById = getSummaryById;
+    });
+
+    it('are rejected in tests if they do not match it', async function () {
+      repositories.users.getSummaryById = async function (id) {
+        return { id: id, name: 'Leaky', password: 'hash' };
+      };
+      const res = await request.get('/users/1');
+      assert.equal(res.status, 500);
+      assert.equal(res.body.code, 'invalid_response');
+      assert.doesNotMatch(res.text, /hash/);
+    });
+  });
+});
+
+describe('GET /docs', function () {
+  it('serves the interactive documentation', async function () {
+    const res = await request.get('/docs');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    assert.match(res.text, /url: '\/openapi.yaml'/);
+  });
+
+  it('serves its assets locally', async function () {
+    const script = await request.get('/docs/swagger-ui-bundle.js');
+    assert.equal(script.status, 200);
+    const styles = await request.get('/docs/swagger-ui.css');
+    assert.equal(styles.status, 200);
+  });
+});
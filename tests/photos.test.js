@@ -0,0 +1,256 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const {
+  request, resetData, createUser, createBusiness, createImage, queue
+} = require('./helpers');
+const { processNextJob } = require('../worker');
+
+describe('/photos', function () {
+  let user, businessid;
+
+  beforeEach(async function () {
+    resetData({ fixtures: false });
+    user = await createUser();
+    businessid = await createBusiness(user);
+  });
+
+  /*
+   * Uploads a photo of the business by the given user.
+   */
+  async function postPhoto(uploader, format = 'png', caption) {
+    const req = request.post('/photos')
+      .set('Authorization', uploader.auth)
+      .field('businessid', businessid)
+      .attach('image', await createImage(format), `photo.${format}`);
+    if (caption) {
+      req.field('caption', caption);
+    }
+    return req;
+  }
+
+  describe('POST /photos', function () {
+    it('stores an uploaded photo', async function () {
+      const res = await postPhoto(user, 'jpeg', 'Lunch');
+      assert.equal(res.status, 201);
+
+      const photo = await request.get(`/photos/${res.body.id}`);
+      assert.equal(photo.status, 200);
+      assert.equal(photo.body.userid, user.id);
+      assert.equal(photo.body.caption, 'Lunch');
+      assert.equal(photo.body.width, 800);
+      assert.equal(photo.body.height, 600);
+      assert.equal(photo.body.url, `/media/photos/${res.body.id}.jpg`);
+    });
+
+    it('queues generating thumbnails', async function () {
+      const res = await postPhoto(user);
+      assert.deepEqual(queue.jobs.map(job => job.payload), [ { photoid: res.body.id } ]);
+
+      assert.equal(await processNextJob(), true);
+      const photo = await request.get(`/photos/${res.body.id}`);
+      assert.deepEqual(Object.keys(photo.body.thumbnails), [ '100', '320', '640' ]);
+    });
+
+    it('requires an image', async function () {
+      const res = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', businessid);
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects a file that is not an image of its declared type', async function () {
+      const res = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', businessid)
+        .attach('image', Buffer.from('not an image'), {
+          filename: 'photo.png',
+          contentType: 'image/png'
+        });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects photos of businesses that do not exist', async function () {
+      const files = fs.readdirSync(process.env.UPLOADS_DIR, { recursive: true });
+      const res = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', 9999)
+        .attach('image', await createImage(), 'photo.png');
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, 'businessid');
+      assert.deepEqual(
+        fs.readdirSync(process.env.UPLOADS_DIR, { recursive: true }), files
+      );
+    });
+
+    it('rejects an invalid photo', async function () {
+      const res = await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', 'abc')
+        .attach('image', await createImage(), 'photo.png');
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'businessid', reason: 'must be a number' }
+      ]);
+    });
+
+    it('requires authentication', async function () {
+      const res = await request.post('/photos')
+        .field('businessid', businessid)
+        .attach('image', await createImage(), 'photo.png');
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /photos/:photoID', function () {
+    it('responds with 404 for a photo that does not exist', async function () {
+      const res = await request.get('/photos/9999');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /photos/:photoID', function () {
+    it('replaces a photo', async function () {
+      const { body } = await postPhoto(user, 'png', 'Before');
+      const res = await request.put(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, caption: 'After' });
+      assert.equal(res.status, 200);
+
+      const photo = await request.get(`/photos/${body.id}`);
+      assert.equal(photo.body.caption, 'After');
+    });
+
+    it("rejects changes to another user's photo", async function () {
+      const { body } = await postPhoto(user);
+      const other = await createUser();
+      const res = await request.put(`/photos/${body.id}`)
+        .set('Authorization', other.auth)
+        .send({ businessid: businessid, caption: 'Mine' });
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects an invalid photo', async function () {
+      const { body } = await postPhoto(user);
+      const res = await request.put(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ caption: 'No business' });
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a photo that does not exist', async function () {
+      const res = await request.put('/photos/9999')
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /photos/:photoID', function () {
+    it('updates only the fields sent', async function () {
+      const { body } = await postPhoto(user, 'png', 'Before');
+      const res = await request.patch(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ caption: 'After' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.caption, 'After');
+      assert.equal(res.body.businessid, businessid);
+    });
+
+    it('rejects an invalid update', async function () {
+      const { body } = await postPhoto(user);
+      const res = await request.patch(`/photos/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ userid: 1 });
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a photo that does not exist', async function () {
+      const res = await request.patch('/photos/9999')
+        .set('Authorization', user.auth)
+        .send({ caption: 'After' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /photos/:photoID', function () {
+    it('deletes a photo', async function () {
+      const { body } = await postPhoto(user);
+      const res = await request.delete(`/photos/${body.id}`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 204);
+
+      const photo = await request.get(`/photos/${body.id}`);
+      assert.equal(photo.status, 404);
+    });
+
+    it("rejects deleting another user's photo", async function () {
+      const { body } = await postPhoto(user);
+      const other = await createUser();
+      const res = await request.delete(`/photos/${body.id}`)
+        .set('Authorization', other.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('responds with 404 for a photo that does not exist', async function () {
+      const res = await request.delete('/photos/9999')
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+});
+
+describe('/media', function () {
+  let user, businessid;
+
+  beforeEach(async function () {
+    resetData({ fixtures: false });
+    user = await createUser();
+    businessid = await createBusiness(user);
+  });
+
+  it('serves the image for a photo', async function () {
+    const image = await createImage('png');
+    const { body } = await request.post('/photos')
+      .set('Authorization', user.auth)
+      .field('businessid', businessid)
+      .attach('image', image, 'photo.png');
+
+    const res = await request.get(`/media/photos/${body.id}.png`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'image/png');
+    assert.match(res.headers['cache-control'], /immutable/);
+    assert.deepEqual(res.body, image);
+  });
+
+  it('only serves the image under its own extension', async function () {
+    const { body } = await request.post('/photos')
+      .set('Authorization', user.auth)
+      .field('businessid', businessid)
+      .attach('image', await createImage('png'), 'photo.png');
+
+    const res = await request.get(`/media/photos/${body.id}.jpg`);
+    assert.equal(res.status, 404);
+  });
+
+  it('serves thumbnails once they have been generated', async function () {
+    const { body } = await request.post('/photos')
+      .set('Authorization', user.auth)
+      .field('businessid', businessid)
+      .attach('image', await createImage('png'), 'photo.png');
+
+    const before = await request.get(`/media/thumbs/${body.id}-100.jpg`);
+    assert.equal(before.status, 404);
+
+    await processNextJob();
+    const after = await request.get(`/media/thumbs/${body.id}-100.jpg`);
+    assert.equal(after.status, 200);
+    assert.equal(after.headers['content-type'], 'image/jpeg');
+  });
+
+  it('responds with 404 for a photo that does not exist', async function () {
+    const res = await request.get('/media/photos/9999.png');
+    assert.equal(res.status, 404);
+  });
+});
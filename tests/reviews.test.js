@@ -0,0 +1,369 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  request, resetData, createUser, createBusiness, makeModerator
+} = require('./helpers');
+const repositories = require('../lib/repositories');
+
+/*
+ * Posts a review of a business by the given user.
+ */
+function postReview(user, review) {
+  return request.post('/reviews')
+    .set('Authorization', user.auth)
+    .send(review);
+}
+
+describe('/reviews', function () {
+  let user, businessid;
+
+  beforeEach(async function () {
+    resetData({ fixtures: false });
+    user = await createUser();
+    businessid = await createBusiness(user);
+  });
+
+  describe('POST /reviews', function () {
+    it('creates a review by the authenticated user', async function () {
+      const res = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4.5, review: 'Tasty.'
+      });
+      assert.equal(res.status, 201);
+
+      const review = await request.get(`/reviews/${res.body.id}`);
+      assert.equal(review.body.userid, user.id);
+      assert.equal(review.body.stars, 4.5);
+    });
+
+    it('rejects an invalid review', async function () {
+      const res = await postReview(user, {
+        businessid: businessid, dollars: 5, stars: 6
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'dollars', reason: 'must be at most 4' },
+        { field: 'stars', reason: 'must be at most 5' }
+      ]);
+    });
+
+    it('only accepts stars in half steps', async function () {
+      const res = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4.75
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, 'stars');
+    });
+
+    it('rejects a second review of the same business', async function () {
+      const review = { businessid: businessid, dollars: 2, stars: 4 };
+      await postReview(user, review);
+      const res = await postReview(user, review);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, 'already_reviewed');
+      assert.equal(res.body.detail, 'User has already posted a review of this business');
+    });
+
+    it('allows other users to review the same business', async function () {
+      const review = { businessid: businessid, dollars: 2, stars: 4 };
+      await postReview(user, review);
+      const res = await postReview(await createUser(), review);
+      assert.equal(res.status, 201);
+    });
+
+    it('rejects reviews of businesses that do not exist', async function () {
+      const missing = await postReview(user, { businessid: 9999, dollars: 2, stars: 4 });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.errors[0].field, 'businessid');
+
+      await request.delete(`/businesses/${businessid}`).set('Authorization', user.auth);
+      const deleted = await postReview(user, { businessid: businessid, dollars: 2, stars: 4 });
+      assert.equal(deleted.status, 400);
+    });
+
+    it('requires authentication', async function () {
+      const res = await request.post('/reviews')
+        .send({ businessid: businessid, dollars: 2, stars: 4 });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /reviews/:reviewID', function () {
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.get('/reviews/9999');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /reviews/:reviewID', function () {
+    it('replaces a review', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const res = await request.put(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, dollars: 3, stars: 1 });
+      assert.equal(res.status, 200);
+
+      const review = await request.get(`/reviews/${body.id}`);
+      assert.equal(review.body.stars, 1);
+    });
+
+    it("rejects changes to another user's review", async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const other = await createUser();
+      const res = await request.put(`/reviews/${body.id}`)
+        .set('Authorization', other.auth)
+        .send({ businessid: businessid, dollars: 3, stars: 1 });
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects moving a review to another business', async function () {
+      const otherBusinessid = await createBusiness(user);
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const res = await request.put(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ businessid: otherBusinessid, dollars: 2, stars: 4 });
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects an invalid review', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const res = await request.put(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, stars: 4 });
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.put('/reviews/9999')
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, dollars: 2, stars: 4 });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /reviews/:reviewID', function () {
+    it('updates only the fields sent', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4, review: 'Fine.'
+      });
+      const res = await request.patch(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ stars: 3.5 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.stars, 3.5);
+      assert.equal(res.body.review, 'Fine.');
+    });
+
+    it('rejects moving a review to another business', async function () {
+      const otherBusinessid = await createBusiness(user);
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const res = await request.patch(`/reviews/${body.id}`)
+        .set('Authorization', user.auth)
+        .send({ businessid: otherBusinessid });
+      assert.equal(res.status, 403);
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.patch('/reviews/9999')
+        .set('Authorization', user.auth)
+        .send({ stars: 3 });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /reviews/:reviewID', function () {
+    it('deletes a review', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const res = await request.delete(`/reviews/${body.id}`)
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 204);
+
+      const review = await request.get(`/reviews/${body.id}`);
+      assert.equal(review.status, 404);
+    });
+
+    it("rejects deleting another user's review", async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const other = await createUser();
+      const res = await request.delete(`/reviews/${body.id}`)
+        .set('Authorization', other.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.delete('/reviews/9999')
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /reviews/:reviewID/response', function () {
+    it("adds the business owner's response", async function () {
+      const reviewer = await createUser();
+      const { body } = await postReview(reviewer, {
+        businessid: businessid, dollars: 2, stars: 2
+      });
+      const res = await request.post(`/reviews/${body.id}/response`)
+        .set('Authorization', user.auth)
+        .send({ response: 'Sorry to hear that.' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.response, 'Sorry to hear that.');
+    });
+
+    it('rejects responses from anyone but the owner', async function () {
+      const reviewer = await createUser();
+      const { body } = await postReview(reviewer, {
+        businessid: businessid, dollars: 2, stars: 2
+      });
+      const res = await request.post(`/reviews/${body.id}/response`)
+        .set('Authorization', reviewer.auth)
+        .send({ response: 'I agree with myself.' });
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects responses once the business is gone', async function (t) {
+      const reviewer = await createUser();
+      const { body } = await postReview(reviewer, {
+        businessid: businessid, dollars: 2, stars: 2
+      });
+      // The business is deleted between finding the review and its business.
+      t.mock.method(repositories.businesses, 'getById', async () => undefined);
+      const res = await request.post(`/reviews/${body.id}/response`)
+        .set('Authorization', user.auth)
+        .send({ response: 'Sorry to hear that.' });
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects an empty response', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 2
+      });
+      const res = await request.post(`/reviews/${body.id}/response`)
+        .set('Authorization', user.auth)
+        .send({ response: '' });
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.post('/reviews/9999/response')
+        .set('Authorization', user.auth)
+        .send({ response: 'Thanks!' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /reviews/:reviewID/flags', function () {
+    it('flags a review', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const other = await createUser();
+      const res = await request.post(`/reviews/${body.id}/flags`)
+        .set('Authorization', other.auth)
+        .send({ reason: 'Spam' });
+      assert.equal(res.status, 201);
+      assert.equal(typeof res.body.id, 'number');
+    });
+
+    it('rejects flagging a review twice', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const other = await createUser();
+      await request.post(`/reviews/${body.id}/flags`)
+        .set('Authorization', other.auth)
+        .send({ reason: 'Spam' });
+      const res = await request.post(`/reviews/${body.id}/flags`)
+        .set('Authorization', other.auth)
+        .send({ reason: 'Still spam' });
+      assert.equal(res.status, 409);
+    });
+
+    it('requires a reason', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      const res = await request.post(`/reviews/${body.id}/flags`)
+        .set('Authorization', user.auth)
+        .send({});
+      assert.equal(res.status, 400);
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.post('/reviews/9999/flags')
+        .set('Authorization', user.auth)
+        .send({ reason: 'Spam' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /reviews/:reviewID/history', function () {
+    it('lists the changes to a review and who made them', async function () {
+      const reviewer = await createUser();
+      const { body } = await postReview(reviewer, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      await request.patch(`/reviews/${body.id}`)
+        .set('Authorization', reviewer.auth)
+        .send({ stars: 2 });
+      await request.post(`/reviews/${body.id}/response`)
+        .set('Authorization', user.auth)
+        .send({ response: 'Sorry to hear that.' });
+
+      for (const viewer of [ reviewer, user ]) {
+        const res = await request.get(`/reviews/${body.id}/history`)
+          .set('Authorization', viewer.auth);
+        assert.equal(res.status, 200);
+        assert.deepEqual(
+          res.body.history.map(entry => [ entry.action, entry.actor ]),
+          [ [ 'update', user.id ], [ 'update', reviewer.id ], [ 'create', reviewer.id ] ]
+        );
+        assert.deepEqual(res.body.history[1].changes, { stars: { from: 4, to: 2 } });
+      }
+
+      const other = await createUser();
+      const res = await request.get(`/reviews/${body.id}/history`)
+        .set('Authorization', other.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('keeps the history of a deleted review for moderators', async function () {
+      const { body } = await postReview(user, {
+        businessid: businessid, dollars: 2, stars: 4
+      });
+      await request.delete(`/reviews/${body.id}`).set('Authorization', user.auth);
+
+      const denied = await request.get(`/reviews/${body.id}/history`)
+        .set('Authorization', user.auth);
+      assert.equal(denied.status, 403);
+
+      const moderator = await createUser();
+      makeModerator(moderator);
+      const res = await request.get(`/reviews/${body.id}/history`)
+        .set('Authorization', moderator.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.history[0].action, 'delete');
+      assert.deepEqual(res.body.history[0].changes.stars, { from: 4, to: null });
+    });
+
+    it('responds with 404 for a review that does not exist', async function () {
+      const res = await request.get('/reviews/9999/history')
+        .set('Authorization', user.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { request, createUser, createBusiness } = require('./helpers');
+
+describe('server', function () {
+  it('responds with 404 for unknown routes', async function () {
+    const res = await request.get('/restaurants');
+    assert.equal(res.status, 404);
+    assert.match(res.headers['content-type'], /^application\/problem\+json/);
+    assert.deepEqual(res.body, {
+      type: 'urn:problem-type:not-found',
+      title: 'Not Found',
+      status: 404,
+      code: 'not_found',
+      detail: 'Requested resource /restaurants does not exist',
+      instance: '/restaurants',
+      requestId: res.headers['x-request-id']
+    });
+  });
+
+  it('responds with 404 for unsupported methods', async function () {
+    const res = await request.delete('/businesses');
+    assert.equal(res.status, 404);
+  });
+
+  it('gives each request an ID', async function () {
+    const res = await request.get('/businesses');
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  it("uses the request's own X-Request-Id", async function () {
+    const res = await request.get('/businesses')
+      .set('X-Request-Id', 'proxy-1234');
+    assert.equal(res.headers['x-request-id'], 'proxy-1234');
+  });
+
+  it('replaces an X-Request-Id that is not an ID', async function () {
+    const res = await request.get('/businesses')
+      .set('X-Request-Id', '" "level":"error');
+    assert.notEqual(res.headers['x-request-id'], '" "level":"error');
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+});
+
+describe('GET /metrics', function () {
+  it('serves metrics in the Prometheus text format', async function () {
+    const res = await request.get('/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain/);
+    assert.match(res.text, /^# HELP process_cpu_user_seconds_total/m);
+    assert.match(res.text, /^mysql_pool_connections\{state="idle"\} \d+$/m);
+    assert.match(res.text, /^mysql_pool_connection_limit \d+$/m);
+  });
+
+  it('counts requests by route', async function () {
+    await request.get('/businesses/9999');
+    const res = await request.get('/metrics');
+    assert.match(res.text,
+      /^http_requests_total\{method="GET",route="\/businesses\/:businessid",status="404"\} \d+$/m);
+    assert.match(res.text,
+      /^http_request_duration_seconds_count\{method="GET",route="\/businesses\/:businessid",status="404"\} \d+$/m);
+  });
+
+  it('counts requests no route handled together', async function () {
+    await request.get('/restaurants/1');
+    const res = await request.get('/metrics');
+    assert.match(res.text,
+      /^http_requests_total\{method="GET",route="unmatched",status="404"\} \d+$/m);
+    assert.doesNotMatch(res.text, /restaurants/);
+  });
+
+  it('labels routes under a parameterized path by their pattern', async function () {
+    const user = await createUser();
+    const businessid = await createBusiness(user);
+    await request.get(`/businesses/${businessid}/webhooks`)
+      .set('Authorization', user.auth);
+    const res = await request.get('/metrics');
+    assert.match(res.text,
+      /^http_requests_total\{method="GET",route="\/businesses\/:businessid\/webhooks",status="200"\} \d+$/m);
+  });
+
+  it('labels the root of a router without a trailing slash', async function () {
+    await request.get('/businesses');
+    const res = await request.get('/metrics');
+    assert.match(res.text,
+      /^http_requests_total\{method="GET",route="\/businesses",status="200"\} \d+$/m);
+  });
+});
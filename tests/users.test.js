@@ -0,0 +1,210 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  request, resetData, createUser, createBusiness, createImage
+} = require('./helpers');
+
+describe('/users', function () {
+  beforeEach(function () {
+    resetData({ fixtures: false });
+  });
+
+  describe('POST /users', function () {
+    it('registers a new user', async function () {
+      const res = await request.post('/users').send({
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        password: 'correct horse'
+      });
+      assert.equal(res.status, 201);
+      assert.equal(typeof res.body.id, 'number');
+    });
+
+    it('rejects an invalid user', async function () {
+      const res = await request.post('/users').send({
+        name: 'Jane Doe',
+        email: 'not an email',
+        password: 'short'
+      });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: 'email', reason: 'must be a valid email' },
+        { field: 'password', reason: 'must be at least 8 characters long' }
+      ]);
+    });
+
+    it('rejects an email address that is already registered', async function () {
+      const user = await createUser();
+      const res = await request.post('/users').send({
+        name: 'Someone Else',
+        email: user.email,
+        password: 'correct horse'
+      });
+      assert.equal(res.status, 409);
+    });
+  });
+
+  describe('POST /users/login', function () {
+    it('responds with a token for valid credentials', async function () {
+      const user = await createUser();
+      const res = await request.post('/users/login').send({
+        email: user.email,
+        password: user.password
+      });
+      assert.equal(res.status, 200);
+      assert.equal(typeof res.body.token, 'string');
+    });
+
+    it('rejects a wrong password', async function () {
+      const user = await createUser();
+      const res = await request.post('/users/login').send({
+        email: user.email,
+        password: 'wrong password'
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects an unknown email address', async function () {
+      const res = await request.post('/users/login').send({
+        email: 'nobody@example.com',
+        password: 'correct horse'
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it('requires an email address and password', async function () {
+      const res = await request.post('/users/login').send({});
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /users/:userid', function () {
+    it('summarizes a user', async function () {
+      const user = await createUser('Jane Doe');
+      await createBusiness(user);
+      const res = await request.get(`/users/${user.id}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        id: user.id,
+        name: 'Jane Doe',
+        businessCount: 1,
+        reviewCount: 0,
+        photoCount: 0
+      });
+    });
+
+    it('responds with 404 for a user that does not exist', async function () {
+      const res = await request.get('/users/9999');
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /users/:userid/businesses', function () {
+    it("lists a user's businesses", async function () {
+      const user = await createUser();
+      const other = await createUser();
+      await createBusiness(user, { name: 'Zed' });
+      await createBusiness(user, { name: 'Alpha' });
+      await createBusiness(other);
+
+      const res = await request.get(`/users/${user.id}/businesses?sort=name`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 2);
+      assert.deepEqual(res.body.businesses.map(b => b.name), [ 'Alpha', 'Zed' ]);
+    });
+
+    it('paginates the list', async function () {
+      const user = await createUser();
+      for (let i = 0; i < 12; i++) {
+        await createBusiness(user);
+      }
+      const res = await request.get(`/users/${user.id}/businesses?page=2`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.page, 2);
+      assert.equal(res.body.totalPages, 2);
+      assert.equal(res.body.businesses.length, 2);
+      assert.deepEqual(res.body.links, {
+        prevPage: `/users/${user.id}/businesses?page=1`,
+        firstPage: `/users/${user.id}/businesses?page=1`
+      });
+
+      const first = await request.get(res.body.links.firstPage + '&sort=-id');
+      assert.equal(first.body.links.nextPage,
+        `/users/${user.id}/businesses?page=2&sort=-id`);
+    });
+
+    it('rejects an unsortable column', async function () {
+      const user = await createUser();
+      const res = await request.get(`/users/${user.id}/businesses?sort=password`);
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /users/:userid/reviews', function () {
+    it("lists a user's reviews", async function () {
+      const user = await createUser();
+      const businessid = await createBusiness(user);
+      await request.post('/reviews')
+        .set('Authorization', user.auth)
+        .send({ businessid: businessid, dollars: 2, stars: 4 });
+
+      const res = await request.get(`/users/${user.id}/reviews`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 1);
+      assert.equal(res.body.reviews[0].businessid, businessid);
+    });
+  });
+
+  describe('GET /users/:userid/reviews/export', function () {
+    it("downloads all of a user's reviews", async function () {
+      const user = await createUser();
+      const businessids = [ await createBusiness(user), await createBusiness(user) ];
+      for (const businessid of businessids) {
+        await request.post('/reviews')
+          .set('Authorization', user.auth)
+          .send({ businessid: businessid, dollars: 2, stars: 4, review: 'Good, not great' });
+      }
+
+      const res = await request.get(`/users/${user.id}/reviews/export?sort=-businessid`);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['content-disposition'], 'attachment; filename="reviews.csv"');
+      const lines = res.text.trim().split('\n');
+      assert.equal(lines[0], 'id,userid,businessid,dollars,stars,review,response,hidden,version');
+      assert.deepEqual(
+        lines.slice(1).map(line => Number(line.split(',')[2])),
+        businessids.reverse()
+      );
+      assert.match(lines[1], /,"Good, not great",,false,1$/);
+
+      const ndjson = await request.get(`/users/${user.id}/reviews/export?format=ndjson`)
+        .buffer(true);
+      const reviews = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(reviews.length, 2);
+      assert.equal(reviews[0].userid, user.id);
+    });
+
+    it('rejects unsortable columns', async function () {
+      const user = await createUser();
+      const res = await request.get(`/users/${user.id}/reviews/export?sort=review`);
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /users/:userid/photos', function () {
+    it("lists a user's photos with their URLs", async function () {
+      const user = await createUser();
+      const businessid = await createBusiness(user);
+      await request.post('/photos')
+        .set('Authorization', user.auth)
+        .field('businessid', businessid)
+        .attach('image', await createImage(), 'photo.png');
+
+      const res = await request.get(`/users/${user.id}/photos`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.count, 1);
+      assert.match(res.body.photos[0].url, /^\/media\/photos\/\d+\.png$/);
+      assert.equal(res.body.photos[0].filename, undefined);
+    });
+  });
+});
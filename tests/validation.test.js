@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validate, extractValidFields } = require('../lib/validation');
+
+const schema = {
+  name: { required: true, type: 'string', minLength: 1, maxLength: 5 },
+  count: { required: false, type: 'integer', min: 0, max: 10 },
+  score: { required: false, type: 'number', min: 0, max: 5, multipleOf: 0.5 },
+  active: { required: false, type: 'boolean' },
+  email: { required: false, type: 'string', format: 'email' }
+};
+
+describe('validate()', function () {
+  it('accepts a valid object', function () {
+    assert.deepEqual(validate({ name: 'abc', count: 3, score: 4.5 }, schema), []);
+  });
+
+  it('rejects anything that is not an object', function () {
+    for (const value of [ undefined, null, 'name', 42, [ 'name' ] ]) {
+      assert.deepEqual(validate(value, schema), [
+        { field: null, reason: 'request body must be an object' }
+      ]);
+    }
+  });
+
+  it('checks numbers are multiples of their step', function () {
+    assert.deepEqual(validate({ name: 'abc', score: 4.75 }, schema), [
+      { field: 'score', reason: 'must be a multiple of 0.5' }
+    ]);
+    assert.deepEqual(validate({ name: 'abc', score: '3.5' }, schema), []);
+  });
+
+  it('reports missing required fields', function () {
+    assert.deepEqual(validate({}, schema), [
+      { field: 'name', reason: 'is required' }
+    ]);
+  });
+
+  it('treats null fields as missing', function () {
+    assert.deepEqual(validate({ name: null }, schema), [
+      { field: 'name', reason: 'is required' }
+    ]);
+  });
+
+  it('reports fields not in the schema', function () {
+    assert.deepEqual(validate({ name: 'abc', ownerid: 1 }, schema), [
+      { field: 'ownerid', reason: 'is not allowed' }
+    ]);
+  });
+
+  it('checks types', function () {
+    assert.deepEqual(
+      validate({ name: 7, count: 'many', active: 'yes' }, schema),
+      [
+        { field: 'name', reason: 'must be a string' },
+        { field: 'count', reason: 'must be a number' },
+        { field: 'active', reason: 'must be a boolean' }
+      ]
+    );
+  });
+
+  it('distinguishes integers from other numbers', function () {
+    assert.deepEqual(validate({ name: 'abc', count: 1.5, score: 1.5 }, schema), [
+      { field: 'count', reason: 'must be an integer' }
+    ]);
+  });
+
+  it('accepts numeric strings for numbers', function () {
+    assert.deepEqual(validate({ name: 'abc', count: '3', score: '4.5' }, schema), []);
+    assert.deepEqual(validate({ name: 'abc', count: '3abc' }, schema), [
+      { field: 'count', reason: 'must be a number' }
+    ]);
+  });
+
+  it('checks bounds on numbers', function () {
+    assert.deepEqual(validate({ name: 'abc', count: -1, score: 6 }, schema), [
+      { field: 'count', reason: 'must be at least 0' },
+      { field: 'score', reason: 'must be at most 5' }
+    ]);
+  });
+
+  it('checks lengths of strings', function () {
+    assert.deepEqual(validate({ name: '' }, schema), [
+      { field: 'name', reason: 'must be at least 1 characters long' }
+    ]);
+    assert.deepEqual(validate({ name: 'abcdef' }, schema), [
+      { field: 'name', reason: 'must be at most 5 characters long' }
+    ]);
+  });
+
+  it('checks string formats', function () {
+    const formatSchema = {
+      email: { type: 'string', format: 'email' },
+      url: { type: 'string', format: 'url' },
+      zip: { type: 'string', format: 'zip' },
+      phone: { type: 'string', format: 'phone' }
+    };
+    assert.deepEqual(validate({
+      email: 'someone@example.com',
+      url: 'https://example.com/',
+      zip: '97330-1234',
+      phone: '(541) 555-0100'
+    }, formatSchema), []);
+    assert.deepEqual(validate({
+      email: 'someone',
+      url: 'ftp://example.com/',
+      zip: '9733',
+      phone: '555-0100'
+    }, formatSchema), [
+      { field: 'email', reason: 'must be a valid email' },
+      { field: 'url', reason: 'must be a valid url' },
+      { field: 'zip', reason: 'must be a valid zip' },
+      { field: 'phone', reason: 'must be a valid phone' }
+    ]);
+  });
+
+  it('does not allow fields inherited by the schema', function () {
+    const body = JSON.parse('{ "name": "abc", "constructor": 1, "__proto__": 2 }');
+    assert.deepEqual(validate({ ...body, toString: 3 }, schema), [
+      { field: 'constructor', reason: 'is not allowed' },
+      { field: '__proto__', reason: 'is not allowed' },
+      { field: 'toString', reason: 'is not allowed' }
+    ]);
+  });
+
+  describe('with the partial option', function () {
+    it('allows required fields to be omitted', function () {
+      assert.deepEqual(validate({ count: 3 }, schema, { partial: true }), []);
+    });
+
+    it('still checks the fields that are present', function () {
+      assert.deepEqual(validate({ name: '' }, schema, { partial: true }), [
+        { field: 'name', reason: 'must be at least 1 characters long' }
+      ]);
+    });
+
+    it('allows optional fields to be cleared with null', function () {
+      assert.deepEqual(validate({ email: null }, schema, { partial: true }), []);
+    });
+
+    it('does not allow required fields to be null', function () {
+      assert.deepEqual(validate({ name: null }, schema, { partial: true }), [
+        { field: 'name', reason: 'is required' }
+      ]);
+    });
+
+    it('requires at least one field', function () {
+      assert.deepEqual(validate({}, schema, { partial: true }), [
+        { field: null, reason: 'request body must contain at least one field' }
+      ]);
+    });
+  });
+});
+
+describe('extractValidFields()', function () {
+  it('keeps only the fields in the schema', function () {
+    assert.deepEqual(
+      extractValidFields({ name: 'abc', ownerid: 1 }, schema),
+      { name: 'abc' }
+    );
+  });
+
+  it('keeps fields set to null', function () {
+    assert.deepEqual(
+      extractValidFields({ name: 'abc', email: null, count: null }, schema),
+      { name: 'abc', email: null, count: null }
+    );
+  });
+
+  it('converts numeric strings to numbers', function () {
+    assert.deepEqual(
+      extractValidFields({ name: 'abc', count: '3', score: '4.5' }, schema),
+      { name: 'abc', count: 3, score: 4.5 }
+    );
+  });
+});
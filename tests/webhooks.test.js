@@ -0,0 +1,321 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const {
+  request, resetData, createUser, createBusiness, createImage
+} = require('./helpers');
+const { processNextDelivery } = require('../worker');
+const store = require('../lib/repositories/memory/store');
+const repositories = require('../lib/repositories');
+
+describe('/businesses/:businessid/webhooks', function () {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responseStatuses;
+
+  /*
+   * A local HTTP server standing in for a webhook's receiver.  It records
+   * each request it's sent, and responds with the next of responseStatuses,
+   * or 200 once they run out.
+   */
+  before(async function () {
+    receiver = http.createServer(function (req, res) {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: body });
+        res.statusCode = responseStatuses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  after(function () {
+    receiver.close();
+  });
+
+  let owner;
+  let businessid;
+
+  beforeEach(async function () {
+    resetData({ fixtures: false });
+    received = [];
+    responseStatuses = [];
+    owner = await createUser('Owner');
+    businessid = await createBusiness(owner);
+  });
+
+  /*
+   * Registers a webhook for the business, resolving to its id and secret.
+   */
+  async function createWebhook(events) {
+    const res = await request.post(`/businesses/${businessid}/webhooks`)
+      .set('Authorization', owner.auth)
+      .send({ url: receiverUrl, events: events });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  /*
+   * Posts a review of the business by a new user, resolving to the user and
+   * the review's id.
+   */
+  async function postReview() {
+    const reviewer = await createUser('Reviewer');
+    const res = await request.post('/reviews')
+      .set('Authorization', reviewer.auth)
+      .send({ businessid: businessid, dollars: 2, stars: 4 });
+    return { reviewer: reviewer, id: res.body.id };
+  }
+
+  /*
+   * Fetches the first page of a webhook's delivery log.
+   */
+  async function getDeliveries(webhookid) {
+    const res = await request.get(
+      `/businesses/${businessid}/webhooks/${webhookid}/deliveries`
+    ).set('Authorization', owner.auth);
+    assert.equal(res.status, 200);
+    return res.body.deliveries;
+  }
+
+  describe('POST and GET /businesses/:businessid/webhooks', function () {
+    it('registers a webhook and lists it without its secret', async function () {
+      const webhook = await createWebhook([ 'review.created', 'photo.created' ]);
+      assert.match(webhook.secret, /^[0-9a-f]{64}$/);
+
+      const res = await request.get(`/businesses/${businessid}/webhooks`)
+        .set('Authorization', owner.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.webhooks.length, 1);
+      assert.equal(res.body.webhooks[0].id, webhook.id);
+      assert.deepEqual(res.body.webhooks[0].events, [ 'review.created', 'photo.created' ]);
+      assert.equal(res.body.webhooks[0].secret, undefined);
+    });
+
+    it('rejects unknown and repeated events', async function () {
+      for (const events of [ [ 'review.deleted' ], [ 'review.created', 'review.created' ] ]) {
+        const res = await request.post(`/businesses/${businessid}/webhooks`)
+          .set('Authorization', owner.auth)
+          .send({ url: receiverUrl, events: events });
+        assert.equal(res.status, 400);
+        assert.match(res.body.errors[0].field, /^events/);
+      }
+    });
+
+    it('rejects receivers at private addresses', async function (t) {
+      withoutPrivateHosts(t);
+      for (const url of [
+        'http://169.254.169.254/latest/meta-data',
+        'http://localhost:8000/',
+        'http://[::1]/hooks'
+      ]) {
+        const res = await request.post(`/businesses/${businessid}/webhooks`)
+          .set('Authorization', owner.auth)
+          .send({ url: url, events: [ 'review.created' ] });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, 'url');
+      }
+    });
+
+    it('rejects receivers at multicast, benchmarking and reserved addresses', async function (t) {
+      withoutPrivateHosts(t);
+      for (const url of [
+        'http://198.18.0.1/hooks',
+        'http://224.0.0.251/hooks',
+        'http://255.255.255.255/hooks',
+        'http://[ff02::1]/hooks'
+      ]) {
+        const res = await request.post(`/businesses/${businessid}/webhooks`)
+          .set('Authorization', owner.auth)
+          .send({ url: url, events: [ 'review.created' ] });
+        assert.equal(res.status, 400, url);
+        assert.equal(res.body.errors[0].field, 'url');
+      }
+    });
+
+    it("is limited to the business's owner", async function () {
+      const other = await createUser('Other');
+      const res = await request.post(`/businesses/${businessid}/webhooks`)
+        .set('Authorization', other.auth)
+        .send({ url: receiverUrl, events: [ 'review.created' ] });
+      assert.equal(res.status, 403);
+
+      const list = await request.get(`/businesses/${businessid}/webhooks`);
+      assert.equal(list.status, 401);
+
+      const missing = await request.get('/businesses/9999/webhooks')
+        .set('Authorization', owner.auth);
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  /*
+   * Stops webhooks being sent to private addresses, as in production, until
+   * the end of the test.
+   */
+  function withoutPrivateHosts(t) {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    t.after(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    });
+  }
+
+  describe('deliveries', function () {
+    it('sends signed events about new reviews', async function () {
+      const webhook = await createWebhook([ 'review.created' ]);
+      const review = await postReview();
+
+      assert.equal(await processNextDelivery(), true);
+      assert.equal(received.length, 1);
+      const { headers, body } = received[0];
+      const event = JSON.parse(body);
+      assert.equal(event.event, 'review.created');
+      assert.equal(event.data.id, review.id);
+      assert.equal(event.data.userid, review.reviewer.id);
+      assert.equal(headers['x-webhook-event'], 'review.created');
+      assert.equal(headers['x-webhook-id'], String(event.id));
+
+      const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+
+      const [ delivery ] = await getDeliveries(webhook.id);
+      assert.equal(delivery.id, event.id);
+      assert.equal(delivery.status, 'delivered');
+      assert.equal(delivery.responseStatus, 200);
+      assert.equal(delivery.attempts, 1);
+      assert.equal(await processNextDelivery(), false);
+    });
+
+    it('only sends the events a webhook subscribed to', async function () {
+      const webhook = await createWebhook([ 'review.updated', 'photo.created' ]);
+      const review = await postReview();
+      await request.patch(`/reviews/${review.id}`)
+        .set('Authorization', review.reviewer.auth)
+        .send({ stars: 5 });
+      await request.post('/photos')
+        .set('Authorization', owner.auth)
+        .field('businessid', businessid)
+        .attach('image', await createImage(), 'photo.png');
+
+      const deliveries = await getDeliveries(webhook.id);
+      assert.deepEqual(
+        deliveries.map(delivery => delivery.event),
+        [ 'photo.created', 'review.updated' ]
+      );
+      assert.equal(deliveries[1].payload.stars, 5);
+      assert.match(deliveries[0].payload.url, /^\/media\/photos\/\d+\.png$/);
+      assert.equal(deliveries[0].payload.filename, undefined);
+    });
+
+    it('retries failed deliveries later', async function () {
+      const webhook = await createWebhook([ 'review.created' ]);
+      await postReview();
+      responseStatuses.push(503);
+
+      assert.equal(await processNextDelivery(), true);
+      let [ delivery ] = await getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.responseStatus, 503);
+      assert.match(delivery.lastError, /503/);
+      assert.ok(new Date(delivery.nextAttemptAt) > new Date());
+      assert.equal(await processNextDelivery(), false);
+
+      store.update('webhook_deliveries', delivery.id, { run_at: new Date() });
+      assert.equal(await processNextDelivery(), true);
+      [ delivery ] = await getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'delivered');
+      assert.equal(delivery.attempts, 2);
+      assert.equal(delivery.lastError, null);
+      assert.equal(received.length, 2);
+    });
+
+    it('sends deliveries again whose worker stopped sending them', async function () {
+      const webhook = await createWebhook([ 'review.created' ]);
+      await postReview();
+      // A worker reserves the delivery, then stops before sending it.
+      const reserved = await repositories.webhooks.reserveDelivery(60 * 1000);
+      assert.equal(await processNextDelivery(), false);
+
+      store.update('webhook_deliveries', reserved.id, { run_at: new Date() });
+      assert.equal(await processNextDelivery(), true);
+      const [ delivery ] = await getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'delivered');
+      assert.equal(delivery.attempts, 2);
+      assert.equal(received.length, 1);
+    });
+
+    it('gives up once its attempts are used up', async function () {
+      const webhook = await createWebhook([ 'review.created' ]);
+      await postReview();
+      let [ delivery ] = await getDeliveries(webhook.id);
+      store.update('webhook_deliveries', delivery.id, { attempts: 7 });
+      responseStatuses.push(500);
+
+      assert.equal(await processNextDelivery(), true);
+      [ delivery ] = await getDeliveries(webhook.id);
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, 8);
+      assert.equal(delivery.nextAttemptAt, undefined);
+    });
+
+    it('records receivers that cannot be reached', async function () {
+      const res = await request.post(`/businesses/${businessid}/webhooks`)
+        .set('Authorization', owner.auth)
+        .send({ url: 'http://127.0.0.1:1/hooks', events: [ 'review.created' ] });
+      await postReview();
+
+      assert.equal(await processNextDelivery(), true);
+      const [ delivery ] = await getDeliveries(res.body.id);
+      assert.equal(delivery.status, 'pending');
+      assert.equal(delivery.responseStatus, null);
+      assert.ok(delivery.lastError);
+    });
+    it('does not send to hosts that resolve to private addresses', async function (t) {
+      const webhook = await createWebhook([ 'review.created' ]);
+      const res = await request.post(`/businesses/${businessid}/webhooks`)
+        .set('Authorization', owner.auth)
+        .send({
+          url: receiverUrl.replace('127.0.0.1', 'localhost'),
+          events: [ 'review.created' ]
+        });
+      await postReview();
+      withoutPrivateHosts(t);
+
+      assert.equal(await processNextDelivery(), true);
+      assert.equal(await processNextDelivery(), true);
+      assert.equal(received.length, 0);
+      for (const webhookid of [ webhook.id, res.body.id ]) {
+        const [ delivery ] = await getDeliveries(webhookid);
+        assert.equal(delivery.status, 'pending');
+        assert.match(delivery.lastError, /private address/);
+      }
+    });
+  });
+
+  describe('DELETE /businesses/:businessid/webhooks/:webhookid', function () {
+    it('stops sending events to the webhook', async function () {
+      const webhook = await createWebhook([ 'review.created' ]);
+      await postReview();
+      const res = await request.delete(`/businesses/${businessid}/webhooks/${webhook.id}`)
+        .set('Authorization', owner.auth);
+      assert.equal(res.status, 204);
+
+      assert.equal(await processNextDelivery(), false);
+      const deliveries = await request.get(
+        `/businesses/${businessid}/webhooks/${webhook.id}/deliveries`
+      ).set('Authorization', owner.auth);
+      assert.equal(deliveries.status, 404);
+    });
+  });
+});
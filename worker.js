@@ -0,0 +1,124 @@
+const { queue } = require('./lib/jobQueue');
+const { generateThumbnails } = require('./lib/thumbnails');
+const {
+  sendDelivery, getRetryDelayMs, deliveryLeaseMs
+} = require('./lib/webhooks');
+const repositories = require('./lib/repositories');
+const logger = require('./lib/logger');
+const mysqlPool = require('./lib/mysqlPool');
+
+const pollIntervalMs = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 1000;
+
+/*
+ * Functions that carry out each type of job, keyed by job type.
+ */
+const jobHandlers = {
+  thumbnail: payload => generateThumbnails(payload.photoid)
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/*
+ * Reserves and runs the next due job, if there is one.  Resolves to true if
+ * a job was run, whether or not it succeeded.
+ */
+async function processNextJob() {
+  const job = await queue.reserve();
+  if (!job) {
+    return false;
+  }
+
+  try {
+    const handler = jobHandlers[job.type];
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+    await handler(job.payload);
+    await queue.complete(job);
+  } catch (err) {
+    logger.error('job failed', { jobId: job.id, jobType: job.type, err: err });
+    await queue.fail(job, err);
+  }
+  return true;
+}
+
+/*
+ * Reserves and sends the next due webhook delivery from the outbox, if
+ * there is one.  A delivery the receiver doesn't accept with a 2xx status
+ * is retried later, until its attempts are used up.  Resolves to true if a
+ * delivery was attempted, whether or not it succeeded.
+ */
+async function processNextDelivery() {
+  const delivery = await repositories.webhooks.reserveDelivery(deliveryLeaseMs);
+  if (!delivery) {
+    return false;
+  }
+
+  let responseStatus = null;
+  try {
+    responseStatus = await sendDelivery(delivery);
+    if (responseStatus < 200 || responseStatus > 299) {
+      throw new Error(`Receiver responded with status ${responseStatus}`);
+    }
+    await repositories.webhooks.completeDelivery(delivery.id, responseStatus);
+  } catch (err) {
+    logger.warn('webhook delivery failed', {
+      deliveryId: delivery.id, webhookId: delivery.webhookid, err: err
+    });
+    await repositories.webhooks.failDelivery(
+      delivery.id, responseStatus, String(err), getRetryDelayMs(delivery.attempts)
+    );
+  }
+  return true;
+}
+
+let running = false;
+
+/*
+ * Starts processing jobs from the queue, and sending webhook deliveries,
+ * until stop() is called.
+ */
+async function start() {
+  running = true;
+  while (running) {
+    try {
+      const ranJob = await processNextJob();
+      const sentDelivery = await processNextDelivery();
+      if (!ranJob && !sentDelivery) {
+        await sleep(pollIntervalMs);
+      }
+    } catch (err) {
+      logger.error('error reading job queue', { err: err });
+      await sleep(pollIntervalMs);
+    }
+  }
+}
+
+function stop() {
+  running = false;
+}
+
+exports.start = start;
+exports.stop = stop;
+exports.processNextJob = processNextJob;
+exports.processNextDelivery = processNextDelivery;
+
+/*
+ * Run on its own, the worker stops on SIGTERM or SIGINT once any job it's
+ * running has finished, then closes the database pool.
+ */
+if (require.main === module) {
+  logger.info('worker is processing jobs');
+  const finished = start();
+  const shutdown = async function (signal) {
+    logger.info('shutting down', { signal: signal });
+    stop();
+    await finished;
+    await mysqlPool.end();
+    logger.info('shut down');
+  };
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+}